@@ -1,5 +1,6 @@
-from flask import Flask, send_file, abort, render_template
+from flask import Flask, send_file, send_from_directory, abort, render_template
 import os
+import re
 
 app = Flask(__name__)
 
@@ -7,6 +8,17 @@ app = Flask(__name__)
 def home():
     return render_template('index.html')
 
+@app.route('/sw.js')
+def service_worker():
+    # Served from the root so the worker's scope covers the whole site
+    response = send_from_directory(
+        os.path.join(app.root_path, 'static', 'js'),
+        'sw.js',
+        mimetype='application/javascript',
+    )
+    response.headers['Cache-Control'] = 'no-cache'
+    return response
+
 @app.route('/exam.pdf')
 def serve_pdf():
     path = '/home/sabbirba10/exam.pdf'
@@ -22,3 +34,23 @@ def serve_json():
         return send_file(path, mimetype='application/json')
     else:
         abort(404)
+
+@app.route('/<dataset>/exam.pdf')
+def serve_dataset_pdf(dataset):
+    if not re.fullmatch(r'[a-z0-9-]+', dataset):
+        abort(404)
+    path = os.path.join('/home/sabbirba10', dataset, 'exam.pdf')
+    if os.path.exists(path):
+        return send_file(path, mimetype='application/pdf')
+    else:
+        abort(404)
+
+@app.route('/<dataset>/exam.json')
+def serve_dataset_json(dataset):
+    if not re.fullmatch(r'[a-z0-9-]+', dataset):
+        abort(404)
+    path = os.path.join('/home/sabbirba10', dataset, 'exam.json')
+    if os.path.exists(path):
+        return send_file(path, mimetype='application/json')
+    else:
+        abort(404)
@@ -0,0 +1,271 @@
+// conflicts.js - Finds clashing, overlapping and crowded exams in the routine
+
+// More exams than this on one day is an overload
+const MAX_EXAMS_PER_DAY = 2;
+// Fewer minutes than this between two exams is a tight gap
+const MIN_GAP_MINUTES = 30;
+
+/**
+ * Format a number of minutes, e.g. "45 min" or "1 h 30 min"
+ * @param {number} minutes - The minutes
+ * @return {string}
+ */
+function formatMinutes(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `${rest} min`;
+  return rest === 0 ? `${hours} h` : `${hours} h ${rest} min`;
+}
+
+/**
+ * Get the limits of the open profile
+ * @return {Object} - { maxExamsPerDay, minGapMinutes }
+ */
+function getConflictSettings() {
+  const maxExamsPerDay = persistence.getProfileSetting("maxExamsPerDay");
+  const minGapMinutes = persistence.getProfileSetting("minGapMinutes");
+  return {
+    maxExamsPerDay:
+      Number.isInteger(maxExamsPerDay) && maxExamsPerDay > 0
+        ? maxExamsPerDay
+        : MAX_EXAMS_PER_DAY,
+    minGapMinutes:
+      Number.isInteger(minGapMinutes) && minGapMinutes >= 0
+        ? minGapMinutes
+        : MIN_GAP_MINUTES,
+  };
+}
+
+/**
+ * Change the limits of the open profile and check the routine again
+ * @param {Object} settings - { maxExamsPerDay, minGapMinutes }; either may
+ *   be left out, and values that are not whole numbers are ignored
+ */
+function setConflictSettings(settings) {
+  const maxExamsPerDay = parseInt(settings.maxExamsPerDay, 10);
+  const minGapMinutes = parseInt(settings.minGapMinutes, 10);
+  if (maxExamsPerDay > 0) {
+    persistence.setProfileSetting("maxExamsPerDay", maxExamsPerDay);
+  }
+  if (minGapMinutes >= 0) {
+    persistence.setProfileSetting("minGapMinutes", minGapMinutes);
+  }
+  markConflicts();
+}
+
+/**
+ * Find the conflicts between the exams of the routine. Exams without a
+ * known start and end are skipped.
+ * @param {Array} entries - Routine entries ({ id, exam })
+ * @param {Object} [settings] - { maxExamsPerDay, minGapMinutes }
+ * @return {Array} - Array of { type, entryIds, message } where type is
+ *   "clash", "overlap", "overload" or "tight"
+ */
+function findConflicts(entries, settings = {}) {
+  const maxExamsPerDay = settings.maxExamsPerDay || MAX_EXAMS_PER_DAY;
+  const minGapMinutes =
+    settings.minGapMinutes === undefined
+      ? MIN_GAP_MINUTES
+      : settings.minGapMinutes;
+
+  const timed = entries
+    .filter((entry) => entry.exam.start && entry.exam.end)
+    .sort((a, b) => a.exam.start - b.exam.start);
+  const found = [];
+
+  // Every pair that overlaps, and neighbours that leave too little time
+  timed.forEach((first, i) => {
+    timed.slice(i + 1).forEach((second) => {
+      const a = first.exam;
+      const b = second.exam;
+      const entryIds = [first.id, second.id];
+
+      if (
+        a.start.getTime() === b.start.getTime() &&
+        a.end.getTime() === b.end.getTime()
+      ) {
+        found.push({
+          type: "clash",
+          entryIds,
+          message: `${a.courseCode} and ${b.courseCode} are at the same time (${a.date}, ${a.time})`,
+        });
+      } else if (b.start < a.end) {
+        const minutes = Math.round((Math.min(a.end, b.end) - b.start) / 60000);
+        found.push({
+          type: "overlap",
+          entryIds,
+          message: `${a.courseCode} and ${
+            b.courseCode
+          } overlap by ${formatMinutes(minutes)} on ${a.date}`,
+        });
+      } else if (
+        utils.getDhakaDayNumber(a.start) === utils.getDhakaDayNumber(b.start)
+      ) {
+        const gap = Math.round((b.start - a.end) / 60000);
+        const isNext = !timed
+          .slice(i + 1)
+          .some(
+            (other) => other.exam.start < b.start && other.exam.start >= a.end
+          );
+        if (isNext && gap < minGapMinutes) {
+          found.push({
+            type: "tight",
+            entryIds,
+            message: `Only ${formatMinutes(gap)} between ${a.courseCode} and ${
+              b.courseCode
+            } on ${a.date}`,
+          });
+        }
+      }
+    });
+  });
+
+  // Days with too many exams
+  const byDay = new Map();
+  timed.forEach((entry) => {
+    const day = utils.getDhakaDayNumber(entry.exam.start);
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(entry);
+  });
+  byDay.forEach((dayEntries) => {
+    if (dayEntries.length > maxExamsPerDay) {
+      found.push({
+        type: "overload",
+        entryIds: dayEntries.map((entry) => entry.id),
+        message: `${dayEntries.length} exams on ${dayEntries[0].exam.date}`,
+      });
+    }
+  });
+
+  return found;
+}
+
+/**
+ * Group conflicts by the entries they affect
+ * @param {Array} [conflictList] - Conflicts, defaults to those of the routine
+ * @return {Map} - Entry id -> array of conflicts
+ */
+function getConflictsByEntry(conflictList) {
+  const byEntry = new Map();
+  (
+    conflictList || findConflicts(routine.getEntries(), getConflictSettings())
+  ).forEach((conflict) => {
+    conflict.entryIds.forEach((id) => {
+      if (!byEntry.has(id)) byEntry.set(id, []);
+      byEntry.get(id).push(conflict);
+    });
+  });
+  return byEntry;
+}
+
+/**
+ * Check whether clash warnings go in the screenshot of the open profile
+ * @return {boolean}
+ */
+function showConflictsInScreenshot() {
+  return persistence.getProfileSetting("conflictsInScreenshot") === true;
+}
+
+/**
+ * Choose whether clash warnings go in the screenshot of the open profile
+ * @param {boolean} show - Whether to show them
+ */
+function setConflictsInScreenshot(show) {
+  persistence.setProfileSetting("conflictsInScreenshot", Boolean(show));
+}
+
+/**
+ * Show the limits of the open profile in their inputs
+ * @param {Object} settings - { maxExamsPerDay, minGapMinutes }
+ */
+function renderConflictSettings(settings) {
+  const maxInput = document.getElementById("max-exams-per-day");
+  const gapInput = document.getElementById("min-gap-minutes");
+  if (maxInput) maxInput.value = settings.maxExamsPerDay;
+  if (gapInput) gapInput.value = settings.minGapMinutes;
+}
+
+/**
+ * Mark the rows with conflicts and fill the summary banner
+ */
+function markConflicts() {
+  document
+    .querySelectorAll("#schedule-body .conflict-warning")
+    .forEach((warning) => warning.remove());
+  document
+    .querySelectorAll("#schedule-body .row-conflict")
+    .forEach((row) => row.classList.remove("row-conflict"));
+
+  const settings = getConflictSettings();
+  renderConflictSettings(settings);
+  const found = findConflicts(routine.getEntries(), settings);
+
+  getConflictsByEntry(found).forEach((entryConflicts, id) => {
+    const row = document.querySelector(
+      `#schedule-body tr[data-entry-id="${id}"]`
+    );
+    if (!row) return;
+    row.classList.add("row-conflict");
+    const warning = document.createElement("div");
+    warning.className = "conflict-warning";
+    warning.innerHTML = '<i class="fas fa-exclamation-triangle mr-1"></i>';
+    warning.append(
+      entryConflicts.map((conflict) => conflict.message).join("; ")
+    );
+    row.cells[1].appendChild(warning);
+  });
+
+  const banner = document.getElementById("routine-conflicts");
+  if (!banner) return;
+  banner.classList.toggle("hidden", found.length === 0);
+  if (found.length === 0) return;
+
+  const count = (type) =>
+    found.filter((conflict) => conflict.type === type).length;
+  const parts = [];
+  const add = (number, singular, plural) => {
+    if (number > 0) parts.push(`${number} ${number === 1 ? singular : plural}`);
+  };
+  add(count("clash"), "clash", "clashes");
+  add(count("overlap"), "overlap", "overlaps");
+  const maxExams = `${settings.maxExamsPerDay} exam${
+    settings.maxExamsPerDay === 1 ? "" : "s"
+  }`;
+  add(
+    count("overload"),
+    `day with more than ${maxExams}`,
+    `days with more than ${maxExams}`
+  );
+  add(
+    count("tight"),
+    `gap under ${formatMinutes(settings.minGapMinutes)}`,
+    `gaps under ${formatMinutes(settings.minGapMinutes)}`
+  );
+  banner.querySelector(
+    ".routine-conflicts-text"
+  ).textContent = `Your routine has ${parts.join(", ")}.`;
+
+  const list = banner.querySelector(".routine-conflicts-list");
+  list.innerHTML = "";
+  found.forEach((conflict) => {
+    const item = document.createElement("li");
+    item.textContent = conflict.message;
+    list.appendChild(item);
+  });
+
+  banner.querySelector("#conflicts-in-screenshot").checked =
+    showConflictsInScreenshot();
+}
+
+// Export conflict functions
+window.conflicts = {
+  MAX_EXAMS_PER_DAY,
+  MIN_GAP_MINUTES,
+  getConflictSettings,
+  setConflictSettings,
+  findConflicts,
+  getConflictsByEntry,
+  markConflicts,
+  showConflictsInScreenshot,
+  setConflictsInScreenshot,
+};
@@ -0,0 +1,125 @@
+// countdown.js - Weekday and relative day labels of the routine and a live
+// countdown to the next exam
+
+const COUNTDOWN_TICK_MS = 1000;
+
+let countdownTimer = null;
+// Labels last written to the rows, to redraw them only when one changes
+let lastRelativeLabels = "";
+// The exam the banner counts down to. It is looked up again only when the
+// routine is redrawn or the exam ends, as the lookup reads the saved settings.
+let countdownExam = null;
+
+/**
+ * Find the first exam of the routine that has not ended yet
+ * @param {Date} [now] - The current time
+ * @return {Object|null} - The exam
+ */
+function getNextExam(now = new Date()) {
+  return (
+    ui
+      .getVisibleScheduleExams()
+      .filter((exam) => exam.start && exam.end && exam.end > now)
+      .sort((a, b) => a.start - b.start)[0] || null
+  );
+}
+
+/**
+ * Get the relative labels of all routine exams as one string
+ * @param {Date} now - The current time
+ * @return {string}
+ */
+function getRelativeLabels(now) {
+  return routine
+    .getExams()
+    .map((exam) =>
+      exam.start && exam.end
+        ? utils.getRelativeDayLabel(exam.start, exam.end, now)
+        : ""
+    )
+    .join("|");
+}
+
+/**
+ * Add the weekday and relative label under each date in the routine table
+ * and grey out the exams that are over
+ */
+function markExamTimes() {
+  const now = new Date();
+  lastRelativeLabels = getRelativeLabels(now);
+
+  document.querySelectorAll("#schedule-body tr").forEach((row) => {
+    const entry = routine.getEntry(row.dataset.entryId);
+    const detail = row.querySelector(".routine-when");
+    if (!entry || !detail) return;
+
+    const exam = entry.exam;
+    if (!exam.start || !exam.end) {
+      detail.textContent = "";
+      row.classList.remove("row-past");
+      return;
+    }
+    const label = utils.getRelativeDayLabel(exam.start, exam.end, now);
+    detail.textContent = `${utils.getWeekdayName(exam.start)} · ${label}`;
+    row.classList.toggle("row-past", label === "done");
+  });
+}
+
+/**
+ * Find the next exam and show it in the banner
+ */
+function updateCountdown() {
+  countdownExam = getNextExam();
+  renderCountdown(new Date());
+}
+
+/**
+ * Fill the banner with the next exam, its room and the time left
+ * @param {Date} now - The current time
+ */
+function renderCountdown(now) {
+  const banner = document.getElementById("next-exam");
+  if (!banner) return;
+
+  const exam = countdownExam;
+  banner.classList.toggle("hidden", !exam);
+  if (!exam) return;
+
+  const inProgress = exam.start <= now;
+  const course = `${exam.courseCode} Section ${exam.section}`;
+  banner.querySelector(".next-exam-text").textContent = inProgress
+    ? `${course} is on now in ${exam.classroom}. Ends in`
+    : `Next exam: ${course}, ${utils.getWeekdayName(exam.start)} ${
+        exam.date
+      } at ${exam.time.split(" - ")[0]} in ${exam.classroom}. Starts in`;
+  banner.querySelector(".next-exam-countdown").textContent =
+    utils.formatCountdown((inProgress ? exam.end : exam.start) - now);
+}
+
+/**
+ * Tick the countdown every second. Labels are redrawn when an exam starts or
+ * ends and at midnight. Safe to call more than once.
+ */
+function startCountdown() {
+  if (countdownTimer) return;
+  countdownTimer = setInterval(() => {
+    const now = new Date();
+    if (getRelativeLabels(now) !== lastRelativeLabels) {
+      markExamTimes();
+      routineViews.renderRoutineView();
+    }
+    if (countdownExam && countdownExam.end <= now) {
+      updateCountdown();
+    } else {
+      renderCountdown(now);
+    }
+  }, COUNTDOWN_TICK_MS);
+}
+
+// Export countdown functions
+window.countdown = {
+  getNextExam,
+  markExamTimes,
+  updateCountdown,
+  startCountdown,
+};
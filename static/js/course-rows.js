@@ -0,0 +1,182 @@
+// course-rows.js - The course/section input rows, each keyed by a stable row id
+
+// Rows allowed when #course-inputs has no data-max-rows attribute
+const DEFAULT_MAX_COURSE_ROWS = 12;
+
+// Row id -> { id, row, courseInput, sectionInput, addButton, removeButton }
+const courseRowsById = new Map();
+let nextCourseRowNumber = 1;
+
+/**
+ * Get the most rows the user may add
+ * @return {number}
+ */
+function getMaxRows() {
+  const container = document.getElementById("course-inputs");
+  const configured = parseInt(container && container.dataset.maxRows, 10);
+  return configured > 0 ? configured : DEFAULT_MAX_COURSE_ROWS;
+}
+
+/**
+ * Get a row by its id
+ * @param {string} rowId - The row id
+ * @return {Object|null} - { id, row, courseInput, sectionInput, addButton, removeButton }
+ */
+function getRow(rowId) {
+  return courseRowsById.get(rowId) || null;
+}
+
+/**
+ * Get the row an element belongs to
+ * @param {HTMLElement} element - An element inside an input row
+ * @return {Object|null}
+ */
+function getRowOf(element) {
+  const row = element && element.closest(".input-row");
+  return row ? getRow(row.dataset.rowId) : null;
+}
+
+/**
+ * Get all rows in page order
+ * @return {Array<Object>}
+ */
+function getRows() {
+  return Array.from(document.querySelectorAll("#course-inputs .input-row"))
+    .map((row) => getRow(row.dataset.rowId))
+    .filter(Boolean);
+}
+
+/**
+ * Give an input row an id and wire its inputs and buttons. Safe to call more
+ * than once for the same row.
+ * @param {HTMLElement} row - The .input-row element
+ * @return {Object} - The row state
+ */
+function setupRow(row) {
+  if (row.dataset.rowId && courseRowsById.has(row.dataset.rowId)) {
+    return getRow(row.dataset.rowId);
+  }
+
+  const id = `row-${nextCourseRowNumber++}`;
+  row.dataset.rowId = id;
+  const state = {
+    id,
+    row,
+    courseInput: row.querySelector(".course-code"),
+    sectionInput: row.querySelector(".section"),
+    addButton: row.querySelector(".add-course"),
+    removeButton: row.querySelector(".remove-row"),
+  };
+  courseRowsById.set(id, state);
+
+  dropdown.attachCombobox(state.courseInput, "course");
+  dropdown.attachCombobox(state.sectionInput, "section");
+  state.addButton.addEventListener("click", () => app.addCourseFromInput(id));
+  if (state.removeButton) {
+    state.removeButton.addEventListener("click", () => removeRow(id));
+  }
+
+  return state;
+}
+
+/**
+ * Add an empty row below the others
+ * @return {Object|null} - The new row, or null if the limit is reached
+ */
+function addRow() {
+  const maxRows = getMaxRows();
+  if (getRows().length >= maxRows) {
+    ui.showToast(`Maximum of ${maxRows} course inputs allowed`, "info");
+    return null;
+  }
+
+  const row = document.createElement("div");
+  row.className = "input-row";
+  row.innerHTML = `
+        <input type="text" placeholder="Course Code" class="course-code bg-white text-gray-800 p-3 rounded-lg mb-2 w-full text-center" autocomplete="off">
+        <input type="text" placeholder="Sec" class="section bg-white text-gray-800 p-3 rounded-lg mb-2 w-full text-center" autocomplete="off">
+        <button class="add-course bg-yellow-300 text-gray-800 p-3 rounded-lg mb-2 w-full flex items-center justify-center transition" type="button">
+            <i class="fas fa-plus mr-2"></i>Add
+        </button>
+        <button class="remove-row text-whitesmoke-500 p-3 rounded-lg mb-2 flex items-center justify-center hover:bg-red-600 transition" type="button" title="Remove row" aria-label="Remove row">
+            <i class="fas fa-times"></i>
+        </button>
+    `;
+  document.getElementById("course-inputs").appendChild(row);
+
+  const state = setupRow(row);
+  updateRowControls();
+  state.courseInput.focus();
+  return state;
+}
+
+/**
+ * Remove a row. The last remaining row is only cleared.
+ * @param {string} rowId - The row id
+ */
+function removeRow(rowId) {
+  const state = getRow(rowId);
+  if (!state) return;
+
+  dropdown.hideAllDropdowns();
+  const rows = getRows();
+  if (rows.length === 1) {
+    dropdown.clearInputs(rowId);
+    state.courseInput.focus();
+    return;
+  }
+
+  // Keep keyboard focus nearby: the row that moves up, else the one above
+  const position = rows.indexOf(state);
+  const neighbour = rows[position + 1] || rows[position - 1];
+
+  state.row.remove();
+  courseRowsById.delete(rowId);
+  updateRowControls();
+
+  if (neighbour.removeButton) {
+    neighbour.removeButton.focus();
+  } else {
+    neighbour.courseInput.focus();
+  }
+}
+
+/**
+ * Disable the "add row" button at the row limit
+ */
+function updateRowControls() {
+  const addMoreBtn = document.getElementById("add-more-btn");
+  if (!addMoreBtn) return;
+  const atLimit = getRows().length >= getMaxRows();
+  addMoreBtn.disabled = atLimit;
+  addMoreBtn.title = atLimit
+    ? `Maximum of ${getMaxRows()} course inputs`
+    : "Add another course";
+}
+
+/**
+ * Wire the rows in the page and the "add row" button. Safe to call more than
+ * once.
+ */
+function initializeRows() {
+  document
+    .querySelectorAll("#course-inputs .input-row")
+    .forEach((row) => setupRow(row));
+
+  const addMoreBtn = document.getElementById("add-more-btn");
+  if (addMoreBtn && !addMoreBtn.dataset.wired) {
+    addMoreBtn.dataset.wired = "true";
+    addMoreBtn.addEventListener("click", () => addRow());
+  }
+  updateRowControls();
+}
+
+// Export course row functions
+window.courseRows = {
+  getRow,
+  getRowOf,
+  getRows,
+  addRow,
+  removeRow,
+  initializeRows,
+};
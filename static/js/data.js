@@ -1,100 +1,444 @@
 let examData = [];
-let availableCourses = new Set();
 let isFinalsSchedule = false;
-let courseSections = {};
+// Lookups keyed by normalised course code and section (see normalizeCourseCode)
+let courseIndex = new Map();
+let examIndex = new Map();
+let loadReport = null;
+let loadedExamTypes = [];
+// Number of the latest loadScheduleData() call; older calls drop their results
+let scheduleLoadToken = 0;
+
+// Display names of the exam types, keyed by the type stored on each exam
+const EXAM_TYPE_LABELS = {
+  mid: "Mid-Term",
+  final: "Final",
+};
 
 /**
- *
- * @return {Promise}
+ * Fetch the exam.json of a single dataset
+ * @param {Object} part - A source that holds files
+ * @return {Promise<Object>} - Resolves with { part, json }
  */
-function loadScheduleData() {
-  console.log("Fetching exam data...");
-  return fetch("https://sabbirba10.pythonanywhere.com/exam.json")
+function fetchSourceData(part) {
+  // Imported datasets already hold their data
+  if (part.json) {
+    return Promise.resolve({ part, json: part.json });
+  }
+
+  console.log("Fetching exam data from", part.jsonUrl);
+  return fetch(part.jsonUrl)
     .then((response) => {
       if (!response.ok) {
         throw new Error("Network response was not ok");
       }
       return response.json();
     })
-    .then((data) => {
-      if (data.exams && data.exams.length > 0) {
-        isFinalsSchedule = "Final Date" in data.exams[0];
-      }
+    .then((json) => ({ part, json }));
+}
+
+/**
+ * Load the exam data of the active source, replacing any previously loaded data.
+ * A combined source loads all of its parts, e.g. both midterms and finals.
+ * @return {Promise}
+ */
+function loadScheduleData() {
+  const token = ++scheduleLoadToken;
+  const source = sources.getActiveSource();
+  const parts = sources.getSourceParts(source);
+  isFinalsSchedule = false;
+  loadReport = null;
+  loadedExamTypes = [];
 
-      let examName = data.bracu_exam_name;
+  return Promise.all(parts.map(fetchSourceData))
+    .then((results) => {
+      // A load started since, e.g. for another source, has the newer data
+      if (token !== scheduleLoadToken) return;
+
+      const reportRows = [];
+      examData = [];
+      courseIndex = new Map();
+      examIndex = new Map();
+
+      results.forEach(({ part, json }) => {
+        const report = validation.validateExams(json.exams);
+        report.rows.forEach((row) => {
+          row.sourceId = part.id;
+          if (results.length > 1) row.sourceLabel = part.label;
+          reportRows.push(row);
+        });
+
+        examData = examData.concat(
+          mergeSplitRooms(
+            report.rows
+              .filter((row) => validation.isLoadedRow(row))
+              .map((row) => createExamFromRow(row, part))
+          ).map(indexExam)
+        );
+      });
+
+      loadReport = summarizeReport(source, reportRows);
+      ui.renderLoadReport(loadReport);
+
+      loadedExamTypes = Object.keys(EXAM_TYPE_LABELS).filter((type) =>
+        examData.some((exam) => exam.examType === type)
+      );
+      isFinalsSchedule =
+        loadedExamTypes.length === 1 && loadedExamTypes[0] === "final";
+
+      let examName =
+        results.length === 1 ? results[0].json.bracu_exam_name : null;
       if (!examName) {
-        const defaultSuffix = "for Summer 2025";
-        examName = isFinalsSchedule
-          ? `Final Exam Schedule ${defaultSuffix}`
-          : `Mid-Term Exam Schedule ${defaultSuffix}`;
+        const defaultSuffix = `for ${source.term}`;
+        if (loadedExamTypes.length > 1) {
+          examName = `Mid-Term & Final Exam Schedule ${defaultSuffix}`;
+        } else {
+          examName = isFinalsSchedule
+            ? `Final Exam Schedule ${defaultSuffix}`
+            : `Mid-Term Exam Schedule ${defaultSuffix}`;
+        }
       }
 
       ui.updateTitle(isFinalsSchedule, examName);
-
-      examData = data.exams
-        .filter(
-          (exam) =>
-            exam["Course"] &&
-            exam["Section"] &&
-            (exam["Mid Date"] || exam["Final Date"]) &&
-            exam["Start Time"] &&
-            exam["End Time"] &&
-            exam["Room."]
-        )
-        .map((exam) => {
-          const courseCode = exam["Course"];
-          const section = exam["Section"];
-          const dateField = exam["Final Date"] ? "Final Date" : "Mid Date";
-
-          availableCourses.add(courseCode);
-
-          // Build course to sections mapping
-          if (!courseSections[courseCode]) {
-            courseSections[courseCode] = new Set();
-          }
-          courseSections[courseCode].add(section);
-
-          return {
-            date: utils.formatDateFromJSON(exam[dateField]),
-            time: utils.convertTimeFromJSON(
-              exam["Start Time"],
-              exam["End Time"]
-            ),
-            courseCode: courseCode,
-            section: section,
-            classroom: exam["Room."],
-            pageNumber: exam["Page Number"] || -1, // Add the page number from JSON
-            boundingBox: exam["BoundingBox"] || null, // Add bounding box from JSON
-          };
-        });
+      ui.renderExamTypeTabs(loadedExamTypes);
 
       console.log("Loaded exam data:", examData.length, "entries");
+      // A shared routine is looked up in the new data instead of checked
+      if (!share.showSharedRoutine()) routineChanges.checkRoutine();
       ui.showToast(
         `Loaded ${examData.length} exam entries successfully`,
         "success"
       );
     })
     .catch((error) => {
+      if (token !== scheduleLoadToken) return;
       console.error("Error loading schedule data:", error);
-      ui.showToast(
-        "Error loading schedule data. Please refresh the page.",
-        "error"
-      );
+      ui.showToast("Error loading schedule data.", "error", {
+        actions: [{ label: "Retry", onClick: loadScheduleData }],
+      });
+    });
+}
+
+/**
+ * Combine the validated rows of all loaded parts into one report
+ * @param {Object} source - The active source
+ * @param {Array} rows - Validated rows of every part
+ * @return {Object} - The load report
+ */
+function summarizeReport(source, rows) {
+  const counts = {};
+  Object.values(validation.ROW_STATUS).forEach(
+    (status) => (counts[status] = 0)
+  );
+  rows.forEach((row) => counts[row.status]++);
+
+  return {
+    sourceId: source.id,
+    total: rows.length,
+    loaded: rows.filter((row) => validation.isLoadedRow(row)).length,
+    counts: counts,
+    rows: rows,
+  };
+}
+
+/**
+ * Normalise a course code for lookups: "cse 110" and "CSE-110" become "CSE110"
+ * @param {string} courseCode - The course code as typed or stored
+ * @return {string} - The normalised code
+ */
+function normalizeCourseCode(courseCode) {
+  return String(courseCode || "")
+    .replace(/[\s-]+/g, "")
+    .toUpperCase();
+}
+
+/**
+ * Normalise a section for lookups: "05" and " 5" become "5"
+ * @param {string} section - The section as typed or stored
+ * @return {string} - The normalised section
+ */
+function normalizeSection(section) {
+  return String(section || "")
+    .trim()
+    .replace(/^0+(?=.)/, "")
+    .toUpperCase();
+}
+
+/**
+ * Add an exam to the course and exam lookups
+ * @param {Object} exam - The exam
+ * @return {Object} - The same exam
+ */
+function indexExam(exam) {
+  const courseKey = normalizeCourseCode(exam.courseCode);
+  const sectionKey = normalizeSection(exam.section);
+
+  // The first spelling seen is the one shown in the dropdowns
+  if (!courseIndex.has(courseKey)) {
+    courseIndex.set(courseKey, {
+      courseCode: exam.courseCode,
+      title: null,
+      sections: new Map(),
     });
+  }
+  if (exam.courseTitle && !courseIndex.get(courseKey).title) {
+    courseIndex.get(courseKey).title = exam.courseTitle;
+  }
+  const sections = courseIndex.get(courseKey).sections;
+  if (!sections.has(sectionKey)) {
+    sections.set(sectionKey, exam.section);
+  }
+
+  const examKey = `${courseKey}|${sectionKey}`;
+  if (!examIndex.has(examKey)) {
+    examIndex.set(examKey, []);
+  }
+  examIndex.get(examKey).push(exam);
+
+  return exam;
 }
 
 /**
- * Find matching exams for a course code and section
+ * Describe the rooms of an exam, with the student-ID range of each if known
+ * @param {Array} rooms - Array of { room, idRange }
+ * @return {string} - e.g. "UB10101 (24101001-24101050), UB10102"
+ */
+function formatRooms(rooms) {
+  return rooms
+    .map((room) =>
+      room.idRange ? `${room.room} (${room.idRange})` : room.room
+    )
+    .join(", ");
+}
+
+/**
+ * Combine exams that only differ in their room into one exam with several
+ * rooms, e.g. a large section split across two rooms. Sittings at another
+ * date or time stay separate exams.
+ * @param {Array} exams - Exams of a single source, in row order
+ * @return {Array} - The merged exams
+ */
+function mergeSplitRooms(exams) {
+  const merged = new Map();
+
+  exams.forEach((exam) => {
+    const key = [
+      normalizeCourseCode(exam.courseCode),
+      normalizeSection(exam.section),
+      exam.examType,
+      exam.startISO,
+      exam.endISO,
+    ].join("|");
+
+    const existing = merged.get(key);
+    if (!existing) {
+      merged.set(key, exam);
+      return;
+    }
+    existing.rooms = existing.rooms.concat(exam.rooms);
+    existing.classroom = formatRooms(existing.rooms);
+  });
+
+  return Array.from(merged.values());
+}
+
+/**
+ * Turn a validated exam.json row into an exam
+ * @param {Object} row - A loaded row from validation.validateExams()
+ * @param {Object} part - The source the row came from
+ * @return {Object} - The exam
+ */
+function createExamFromRow(row, part) {
+  const exam = row.exam;
+  const courseCode = exam["Course"];
+  const section = exam["Section"];
+  const dateField = exam["Final Date"] ? "Final Date" : "Mid Date";
+
+  return createExam({
+    id: `${part.id}:${row.index}`,
+    sourceId: part.id,
+    examType: dateField === "Final Date" ? "final" : "mid",
+    courseCode: courseCode,
+    courseTitle: exam["Course Title"] || null,
+    section: section,
+    dateParts: utils.parseDateFromJSON(String(exam[dateField])),
+    startMinutes: utils.parseTimeFromJSON(String(exam["Start Time"])),
+    endMinutes: utils.parseTimeFromJSON(String(exam["End Time"])),
+    rooms: [
+      {
+        room: exam["Room."],
+        idRange: exam["ID Range"] || null, // Student IDs seated in this room
+        pageNumber: exam["Page Number"] || -1,
+        boundingBox: exam["BoundingBox"] || null,
+      },
+    ],
+    sourceRow: row.index,
+    pageNumber: exam["Page Number"] || -1, // Add the page number from JSON
+    boundingBox: exam["BoundingBox"] || null, // Add bounding box from JSON
+  });
+}
+
+/**
+ * Build the canonical exam model. Display strings are derived from the
+ * structured fields so every consumer sees the same values.
+ * @param {Object} fields - id, sourceId, examType, courseCode, courseTitle, section,
+ *   dateParts, startMinutes, endMinutes, rooms, sourceRow, pageNumber
+ *   and boundingBox. Each room is { room, idRange, pageNumber, boundingBox }.
+ * @return {Object} - The exam
+ */
+function createExam(fields) {
+  const start = utils.toDhakaDate(fields.dateParts, fields.startMinutes);
+  const end = utils.toDhakaDate(fields.dateParts, fields.endMinutes);
+
+  return {
+    id: fields.id,
+    sourceId: fields.sourceId,
+    examType: fields.examType,
+    courseCode: fields.courseCode,
+    courseTitle: fields.courseTitle || null,
+    section: fields.section,
+    start: start,
+    end: end,
+    startISO: utils.toDhakaISO(start),
+    endISO: utils.toDhakaISO(end),
+    durationMinutes: fields.endMinutes - fields.startMinutes,
+    weekday: utils.getWeekdayName(start),
+    rooms: fields.rooms,
+    classroom: formatRooms(fields.rooms),
+    sourceRow: fields.sourceRow,
+    date: utils.formatDisplayDate(start),
+    time: utils.formatDisplayTime(start, end),
+    pageNumber: fields.pageNumber,
+    boundingBox: fields.boundingBox,
+  };
+}
+
+/**
+ * Rebuild an exam from the display text of a saved routine row
+ * @param {Array<string>} cells - Date, time, course, section, room and exam type text
+ * @return {Object} - The exam; start and end are null if the text cannot be parsed
+ */
+function createExamFromDisplay(cells) {
+  const [date, time, courseCode, section, classroom, examType] = cells;
+  const dateParts = utils.parseDateFromJSON(date);
+  const [startText, endText] = (time || "").split(" - ");
+  const startMinutes = utils.parseTimeFromJSON(startText);
+  const endMinutes = utils.parseTimeFromJSON(endText);
+
+  if (!dateParts || startMinutes === null || endMinutes === null) {
+    return {
+      id: null,
+      sourceId: null,
+      examType: examType || null,
+      courseCode: courseCode,
+      courseTitle: null,
+      section: section,
+      start: null,
+      end: null,
+      startISO: null,
+      endISO: null,
+      durationMinutes: null,
+      weekday: null,
+      rooms: [
+        { room: classroom, idRange: null, pageNumber: -1, boundingBox: null },
+      ],
+      classroom: classroom,
+      sourceRow: -1,
+      date: date,
+      time: time,
+      pageNumber: -1,
+      boundingBox: null,
+    };
+  }
+
+  return createExam({
+    id: null,
+    sourceId: null,
+    examType: examType || null,
+    courseCode: courseCode,
+    section: section,
+    dateParts: dateParts,
+    startMinutes: startMinutes,
+    endMinutes: endMinutes,
+    // The saved text already includes any student-ID ranges
+    rooms: [
+      { room: classroom, idRange: null, pageNumber: -1, boundingBox: null },
+    ],
+    sourceRow: -1,
+    pageNumber: -1,
+    boundingBox: null,
+  });
+}
+
+/**
+ * Rebuild an exam from a saved routine entry
+ * @param {Object} saved - A saved entry from persistence.loadRoutineEntries()
+ * @return {Object} - The exam; start and end are null if the saved times cannot be read
+ */
+function createExamFromSaved(saved) {
+  const start = saved.start ? new Date(saved.start) : null;
+  const end = saved.end ? new Date(saved.end) : null;
+  if (!start || !end || isNaN(start) || isNaN(end)) {
+    return {
+      ...createExamFromDisplay([
+        saved.date || "",
+        saved.time || "",
+        saved.courseCode,
+        saved.section,
+        saved.classroom,
+        saved.examType,
+      ]),
+      sourceId: saved.sourceId || null,
+    };
+  }
+
+  const startParts = utils.getDhakaParts(start);
+  return createExam({
+    id: null,
+    sourceId: saved.sourceId || null,
+    examType: saved.examType || null,
+    courseCode: saved.courseCode,
+    section: saved.section,
+    dateParts: startParts,
+    startMinutes: startParts.minutes,
+    endMinutes: startParts.minutes + Math.round((end - start) / 60000),
+    // The saved room text already includes any student-ID ranges
+    rooms: [
+      {
+        room: saved.classroom,
+        idRange: null,
+        pageNumber: -1,
+        boundingBox: null,
+      },
+    ],
+    sourceRow: -1,
+    pageNumber: -1,
+    boundingBox: null,
+  });
+}
+
+/**
+ * Find an exam by its id
+ * @param {string} id - The exam id
+ * @return {Object|null} - The exam or null if not loaded
+ */
+function getExamById(id) {
+  return examData.find((exam) => exam.id === id) || null;
+}
+
+/**
+ * Find matching exams for a course code and section. Spelling differences
+ * such as "cse 110" or section "5" for "05" are ignored.
  * @param {string} courseCode - The course code to search for
  * @param {string} section - The section to search for
+ * @param {string} [examType] - Only return exams of this type ("mid" or "final")
  * @return {Array} - Array of matching exams
  */
-function findExams(courseCode, section) {
-  return examData.filter(
-    (exam) =>
-      exam.courseCode.toLowerCase() === courseCode.toLowerCase() &&
-      exam.section === section
-  );
+function findExams(courseCode, section, examType) {
+  const exams =
+    examIndex.get(
+      `${normalizeCourseCode(courseCode)}|${normalizeSection(section)}`
+    ) || [];
+  return exams.filter((exam) => !examType || exam.examType === examType);
 }
 
 /**
@@ -102,19 +446,43 @@ function findExams(courseCode, section) {
  * @return {Array} - Array of course codes
  */
 function getAvailableCourses() {
-  return Array.from(availableCourses);
+  return Array.from(courseIndex.values()).map((course) => course.courseCode);
+}
+
+/**
+ * Get the title of a course, if the data has one
+ * @param {string} courseCode - The course code, in any spelling
+ * @return {string|null} - The course title or null
+ */
+function getCourseTitle(courseCode) {
+  const course = courseIndex.get(normalizeCourseCode(courseCode));
+  return course ? course.title : null;
 }
 
 /**
  * Get all sections for a course
- * @param {string} courseCode - The course code
+ * @param {string} courseCode - The course code, in any spelling
  * @return {Array} - Array of sections or empty array if course not found
  */
 function getSectionsForCourse(courseCode) {
-  if (courseSections[courseCode]) {
-    return Array.from(courseSections[courseCode]);
-  }
-  return [];
+  const course = courseIndex.get(normalizeCourseCode(courseCode));
+  return course ? Array.from(course.sections.values()) : [];
+}
+
+/**
+ * Get the exam types present in the loaded data
+ * @return {Array<string>} - e.g. ["mid"], ["final"] or ["mid", "final"]
+ */
+function getLoadedExamTypes() {
+  return loadedExamTypes.slice();
+}
+
+/**
+ * Get the validation report of the last load
+ * @return {Object|null} - Report with per-row status, or null before the first load
+ */
+function getLoadReport() {
+  return loadReport;
 }
 
 /**
@@ -129,7 +497,17 @@ function isFinalsScheduleLoaded() {
 window.data = {
   loadScheduleData,
   findExams,
+  getExamById,
+  createExamFromDisplay,
+  createExamFromSaved,
   getAvailableCourses,
   getSectionsForCourse,
+  getCourseTitle,
+  normalizeCourseCode,
+  normalizeSection,
+  formatRooms,
   isFinalsScheduleLoaded,
+  getLoadedExamTypes,
+  getLoadReport,
+  EXAM_TYPE_LABELS,
 };
@@ -1,122 +1,198 @@
-// dropdown.js - Dropdown functionality
+// dropdown.js - Course and section inputs as WAI-ARIA comboboxes
+
+// Wait after typing before filtering the list
+const COMBOBOX_DELAY = 150;
+
+const showComboboxSoon = utils.debounce((input) => {
+  if (document.activeElement === input) openCombobox(input);
+}, COMBOBOX_DELAY);
 
 /**
  * Shows a dropdown for course selection
  * @param {HTMLElement} input - The input element
- * @param {number} index - The index of the input row
  */
-function showCourseDropdown(input, index) {
+function showCourseDropdown(input) {
   hideAllDropdowns();
 
-  const dropdown = document.createElement("div");
-  dropdown.className = "dropdown";
-  dropdown.id = `course-dropdown-${index}`;
-  dropdown.setAttribute("role", "listbox");
+  const row = courseRows.getRowOf(input);
+  const dropdown = createListbox(`course-dropdown-${row.id}`, "Courses");
   dropdown.style.minWidth = "200px";
 
-  const filter = input.value.trim().toLowerCase();
-  let filtered = data
-    .getAvailableCourses()
-    .filter((course) => course.toLowerCase().includes(filter));
+  const matches = courseSearch.rankCourses(
+    input.value,
+    data.getAvailableCourses(),
+    data.getCourseTitle
+  );
 
-  if (filtered.length === 0) {
+  if (matches.length === 0) {
     const noOpt = document.createElement("div");
     noOpt.className = "dropdown-option disabled";
     noOpt.textContent = "No match";
     dropdown.appendChild(noOpt);
   } else {
-    filtered.sort().forEach((course, optionIndex) => {
-      const option = document.createElement("div");
-      option.className = "dropdown-option";
-      option.setAttribute("role", "option");
-      option.setAttribute("tabindex", "-1");
-      option.setAttribute("data-index", optionIndex.toString());
-      option.textContent = course;
-
-      option.addEventListener("mouseenter", () => {
-        dropdown
-          .querySelectorAll(".dropdown-option")
-          .forEach((opt) => opt.classList.remove("active"));
-        option.classList.add("active");
-      });
+    matches.forEach((match, optionIndex) => {
+      const course = match.courseCode;
+      const option = createOption(dropdown, input, optionIndex, course);
+      option.appendChild(
+        courseSearch.highlightMatches(course, match.codeMatches)
+      );
+      if (match.title) {
+        const title = document.createElement("span");
+        title.className = "course-title";
+        title.appendChild(
+          courseSearch.highlightMatches(match.title, match.titleMatches)
+        );
+        option.appendChild(title);
+      }
 
       option.addEventListener("mousedown", (e) => {
         e.preventDefault();
-        selectCourse(input, course, index);
+        selectCourse(input, course);
       });
 
       dropdown.appendChild(option);
     });
   }
 
-  document.body.appendChild(dropdown);
-  positionDropdown(dropdown, input);
-  setupKeyboardNav(dropdown, input, index, "course");
+  openListbox(
+    dropdown,
+    input,
+    matches.length === 0
+      ? "No courses found"
+      : `${matches.length} course${matches.length === 1 ? "" : "s"} found`
+  );
 }
 
 /**
  * Shows a dropdown for section selection
  * @param {HTMLElement} input - The input element
- * @param {number} index - The index of the input row
  */
-function showSectionDropdown(input, index) {
+function showSectionDropdown(input) {
   hideAllDropdowns();
 
-  const courseInput = document.querySelectorAll(".course-code")[index];
-  const courseCode = courseInput.value.trim();
+  const row = courseRows.getRowOf(input);
+  const courseCode = row.courseInput.value.trim();
 
-  const dropdown = document.createElement("div");
-  dropdown.className = "dropdown";
-  dropdown.id = `section-dropdown-${index}`;
-  dropdown.setAttribute("role", "listbox");
+  const dropdown = createListbox(`section-dropdown-${row.id}`, "Sections");
   dropdown.style.minWidth = "100px";
 
   let filtered = [];
   if (courseCode) {
     filtered = data.getSectionsForCourse(courseCode);
     const filter = input.value.trim().toLowerCase();
-    filtered = filtered.filter((section) =>
-      section.toLowerCase().includes(filter)
+    const normalizedFilter = data.normalizeSection(input.value);
+    filtered = filtered.filter(
+      (section) =>
+        section.toLowerCase().includes(filter) ||
+        data.normalizeSection(section).includes(normalizedFilter)
     );
   }
 
   if (filtered.length === 0) {
     const noOpt = document.createElement("div");
     noOpt.className = "dropdown-option disabled";
-    noOpt.textContent = courseCode
-      ? "No sections found"
-      : "Select a course first";
+    noOpt.textContent = noSectionsMessage(courseCode);
     dropdown.appendChild(noOpt);
   } else {
     filtered
       .sort((a, b) => (parseInt(a, 10) || 0) - (parseInt(b, 10) || 0))
       .forEach((section, optionIndex) => {
-        const option = document.createElement("div");
-        option.className = "dropdown-option";
-        option.setAttribute("role", "option");
-        option.setAttribute("tabindex", "-1");
-        option.setAttribute("data-index", optionIndex.toString());
+        const option = createOption(dropdown, input, optionIndex, section);
         option.textContent = section;
 
-        option.addEventListener("mouseenter", () => {
-          dropdown
-            .querySelectorAll(".dropdown-option")
-            .forEach((opt) => opt.classList.remove("active"));
-          option.classList.add("active");
-        });
-
         option.addEventListener("mousedown", (e) => {
           e.preventDefault();
-          selectSection(input, section, index);
+          selectSection(input, section);
         });
 
         dropdown.appendChild(option);
       });
   }
 
+  openListbox(
+    dropdown,
+    input,
+    filtered.length === 0
+      ? noSectionsMessage(courseCode)
+      : `${filtered.length} section${filtered.length === 1 ? "" : "s"} found`
+  );
+}
+
+/**
+ * Describe an empty section list for screen readers
+ * @param {string} courseCode - The course typed in the same row
+ * @return {string}
+ */
+function noSectionsMessage(courseCode) {
+  return courseCode ? "No sections found" : "Select a course first";
+}
+
+/**
+ * Create an empty listbox popup
+ * @param {string} id - The element id, referenced by the input's aria-controls
+ * @param {string} label - Accessible name of the list
+ * @return {HTMLElement}
+ */
+function createListbox(id, label) {
+  const dropdown = document.createElement("div");
+  dropdown.className = "dropdown";
+  dropdown.id = id;
+  dropdown.setAttribute("role", "listbox");
+  dropdown.setAttribute("aria-label", label);
+  // Keep focus in the input when the list or its scrollbar is clicked
+  dropdown.addEventListener("mousedown", (e) => e.preventDefault());
+  return dropdown;
+}
+
+/**
+ * Create a selectable option of a listbox
+ * @param {HTMLElement} dropdown - The listbox
+ * @param {HTMLElement} input - The combobox input
+ * @param {number} optionIndex - Position of the option in the list
+ * @param {string} value - The value put in the input when chosen
+ * @return {HTMLElement}
+ */
+function createOption(dropdown, input, optionIndex, value) {
+  const option = document.createElement("div");
+  option.className = "dropdown-option";
+  option.id = `${dropdown.id}-option-${optionIndex}`;
+  option.setAttribute("role", "option");
+  option.setAttribute("aria-selected", "false");
+  option.setAttribute("data-index", optionIndex.toString());
+  option.dataset.value = value;
+  option.addEventListener("mouseenter", () =>
+    setActiveOption(input, optionIndex)
+  );
+  return option;
+}
+
+/**
+ * Show a filled listbox under its input and announce the number of results.
+ * While the user is typing the best match is made active, so Enter picks it.
+ * @param {HTMLElement} dropdown - The listbox
+ * @param {HTMLElement} input - The combobox input
+ * @param {string} message - Result count read out to screen readers
+ */
+function openListbox(dropdown, input, message) {
   document.body.appendChild(dropdown);
   positionDropdown(dropdown, input);
-  setupKeyboardNav(dropdown, input, index, "section");
+
+  input.setAttribute("aria-controls", dropdown.id);
+  input.setAttribute("aria-expanded", "true");
+  announce(message);
+
+  if (input.value.trim()) {
+    setActiveOption(input, 0);
+  }
+}
+
+/**
+ * Read a message out through the combobox status region
+ * @param {string} message - The message
+ */
+function announce(message) {
+  const status = document.getElementById("combobox-status");
+  if (status) status.textContent = message;
 }
 
 /**
@@ -148,55 +224,134 @@ function positionDropdown(dropdown, input) {
 }
 
 /**
- * Sets up keyboard navigation for dropdowns
- * @param {HTMLElement} dropdown - The dropdown element
- * @param {HTMLElement} input - The input element
- * @param {number} index - The index of the input row
- * @param {string} type - Type of dropdown ('course' or 'section')
+ * Get the open listbox of a combobox input
+ * @param {HTMLElement} input - The combobox input
+ * @return {HTMLElement|null}
+ */
+function getOpenListbox(input) {
+  if (input.getAttribute("aria-expanded") !== "true") return null;
+  return document.getElementById(input.getAttribute("aria-controls"));
+}
+
+/**
+ * Get the options of a listbox that can be chosen
+ * @param {HTMLElement} dropdown - The listbox
+ * @return {Array<HTMLElement>}
  */
-function setupKeyboardNav(dropdown, input, index, type) {
-  const options = Array.from(
+function getOptions(dropdown) {
+  return Array.from(
     dropdown.querySelectorAll(".dropdown-option:not(.disabled)")
   );
-  let activeIndex = -1;
+}
 
-  input.addEventListener("keydown", function (e) {
-    switch (e.key) {
-      case "ArrowDown":
-        e.preventDefault();
-        activeIndex = Math.min(activeIndex + 1, options.length - 1);
-        updateActiveOption();
+/**
+ * Mark an option as active; focus stays in the input and the option is
+ * referenced through aria-activedescendant
+ * @param {HTMLElement} input - The combobox input
+ * @param {number} optionIndex - The option to activate, or -1 for none
+ */
+function setActiveOption(input, optionIndex) {
+  const dropdown = getOpenListbox(input);
+  if (!dropdown) return;
+
+  const options = getOptions(dropdown);
+  options.forEach((opt, i) => {
+    opt.classList.toggle("active", i === optionIndex);
+    opt.setAttribute("aria-selected", String(i === optionIndex));
+  });
+
+  const active = options[optionIndex];
+  if (active) {
+    input.setAttribute("aria-activedescendant", active.id);
+    if (active.scrollIntoView) active.scrollIntoView({ block: "nearest" });
+  } else {
+    input.removeAttribute("aria-activedescendant");
+  }
+}
+
+/**
+ * Open the list of a combobox input for its current value
+ * @param {HTMLElement} input - The combobox input
+ */
+function openCombobox(input) {
+  if (!courseRows.getRowOf(input)) return;
+
+  if (input.dataset.combobox === "course") {
+    showCourseDropdown(input);
+  } else {
+    showSectionDropdown(input);
+  }
+}
+
+/**
+ * Keyboard handling of a combobox input, attached once per input
+ * @param {KeyboardEvent} e - The keydown event
+ */
+function handleComboboxKeydown(e) {
+  const input = e.currentTarget;
+  let dropdown = getOpenListbox(input);
+  const options = dropdown ? getOptions(dropdown) : [];
+  const activeIndex = options.findIndex((opt) =>
+    opt.classList.contains("active")
+  );
+
+  switch (e.key) {
+    case "ArrowDown":
+    case "ArrowUp": {
+      e.preventDefault();
+      const down = e.key === "ArrowDown";
+      if (!dropdown) {
+        openCombobox(input);
+        dropdown = getOpenListbox(input);
+        // Alt+Down only opens the list
+        if (dropdown && !e.altKey) {
+          setActiveOption(input, down ? 0 : getOptions(dropdown).length - 1);
+        }
         break;
-      case "ArrowUp":
+      }
+      if (options.length === 0) break;
+      if (activeIndex === -1) {
+        setActiveOption(input, down ? 0 : options.length - 1);
+      } else {
+        setActiveOption(
+          input,
+          down
+            ? Math.min(activeIndex + 1, options.length - 1)
+            : Math.max(activeIndex - 1, 0)
+        );
+      }
+      break;
+    }
+    case "Home":
+    case "End":
+      // Moves within the list once an option is active, otherwise the caret
+      if (activeIndex !== -1) {
         e.preventDefault();
-        activeIndex = Math.max(activeIndex - 1, 0);
-        updateActiveOption();
-        break;
-      case "Enter":
+        setActiveOption(input, e.key === "Home" ? 0 : options.length - 1);
+      }
+      break;
+    case "Enter":
+      if (activeIndex !== -1) {
         e.preventDefault();
-        if (activeIndex >= 0) {
-          const selectedOption = options[activeIndex];
-          if (type === "course") {
-            selectCourse(input, selectedOption.textContent, index);
-          } else {
-            selectSection(input, selectedOption.textContent, index);
-          }
+        const value = options[activeIndex].dataset.value;
+        if (input.dataset.combobox === "course") {
+          selectCourse(input, value);
+        } else {
+          selectSection(input, value);
         }
-        break;
-      case "Escape":
-        e.preventDefault();
+      }
+      break;
+    case "Escape":
+      e.preventDefault();
+      if (dropdown) {
         hideAllDropdowns();
-        input.blur();
-        break;
-    }
-  });
-
-  function updateActiveOption() {
-    options.forEach((opt) => opt.classList.remove("active"));
-    if (activeIndex >= 0) {
-      options[activeIndex].classList.add("active");
-      options[activeIndex].scrollIntoView({ block: "nearest" });
-    }
+      } else {
+        input.value = "";
+      }
+      break;
+    case "Tab":
+      hideAllDropdowns();
+      break;
   }
 }
 
@@ -204,50 +359,45 @@ function setupKeyboardNav(dropdown, input, index, type) {
  * Selects a course and updates the UI
  * @param {HTMLElement} input - The input element
  * @param {string} course - The selected course code
- * @param {number} index - The index of the input row
  */
-function selectCourse(input, course, index) {
+function selectCourse(input, course) {
   input.value = course;
   hideAllDropdowns();
-  updateSectionOptions(index);
-  // Focus the section input
-  const sectionInput = document.querySelectorAll(".section")[index];
+  // Focusing the section input opens its list
+  const sectionInput = courseRows.getRowOf(input).sectionInput;
+  sectionInput.value = "";
   sectionInput.focus();
-  showSectionDropdown(sectionInput, index);
 }
 
 /**
  * Selects a section and updates the UI
  * @param {HTMLElement} input - The input element
  * @param {string} section - The selected section
- * @param {number} index - The index of the input row
  */
-function selectSection(input, section, index) {
+function selectSection(input, section) {
   input.value = section;
   hideAllDropdowns();
   // Focus the add button
-  const addButton = input.closest(".input-row").querySelector(".add-course");
-  addButton.focus();
+  courseRows.getRowOf(input).addButton.focus();
 }
 
 /**
  * Updates section options when a course is selected
- * @param {number} index - The index of the input row
+ * @param {string} rowId - The id of the input row
  */
-function updateSectionOptions(index) {
-  const courseInput = document.querySelectorAll(".course-code")[index];
-  const sectionInput = document.querySelectorAll(".section")[index];
-  const courseCode = courseInput.value.trim().toUpperCase();
+function updateSectionOptions(rowId) {
+  const row = courseRows.getRow(rowId);
+  const courseCode = row.courseInput.value.trim().toUpperCase();
 
   // Clear section input when course changes
-  sectionInput.value = "";
+  row.sectionInput.value = "";
 
   if (!courseCode) {
     return;
   }
 
   // Show section dropdown with available sections
-  showSectionDropdown(sectionInput, index);
+  showSectionDropdown(row.sectionInput);
 }
 
 /**
@@ -257,44 +407,59 @@ function hideAllDropdowns() {
   document
     .querySelectorAll(".dropdown")
     .forEach((dropdown) => dropdown.remove());
+  document.querySelectorAll("[data-combobox]").forEach((input) => {
+    input.setAttribute("aria-expanded", "false");
+    input.removeAttribute("aria-activedescendant");
+  });
 }
 
 /**
- * Clears the course and section inputs for a given row index
- * @param {number} index - The index of the input row
+ * Clears the course and section inputs of a row
+ * @param {string} rowId - The id of the input row
  */
-function clearInputs(index) {
-  const courseInput = document.querySelectorAll(".course-code")[index];
-  const sectionInput = document.querySelectorAll(".section")[index];
-  if (courseInput) courseInput.value = "";
-  if (sectionInput) sectionInput.value = "";
+function clearInputs(rowId) {
+  const row = courseRows.getRow(rowId);
+  if (!row) return;
+  row.courseInput.value = "";
+  row.sectionInput.value = "";
 }
 
 /**
- * Initialize course input fields with suggestions
+ * Turn a course or section input into a combobox. Safe to call more than once.
+ * @param {HTMLElement} input - The input element
+ * @param {string} type - Type of combobox ('course' or 'section')
  */
-function initializeCourseSuggestions() {
-  const debouncedShowCourseDropdown = utils.debounce((input, index) => {
-    showCourseDropdown(input, index);
-  }, 150);
-
-  const debouncedShowSectionDropdown = utils.debounce((input, index) => {
-    showSectionDropdown(input, index);
-  }, 150);
-
-  document.querySelectorAll(".course-code").forEach((input, index) => {
-    input.addEventListener("focus", () => showCourseDropdown(input, index));
-    input.addEventListener("input", () =>
-      debouncedShowCourseDropdown(input, index)
+function attachCombobox(input, type) {
+  if (input.dataset.combobox) return;
+
+  input.dataset.combobox = type;
+  input.setAttribute("role", "combobox");
+  input.setAttribute("aria-autocomplete", "list");
+  input.setAttribute("aria-expanded", "false");
+  input.setAttribute("autocomplete", "off");
+  if (!input.hasAttribute("aria-label")) {
+    input.setAttribute(
+      "aria-label",
+      type === "course" ? "Course code" : "Section"
     );
-  });
+  }
 
-  document.querySelectorAll(".section").forEach((input, index) => {
-    input.addEventListener("focus", () => showSectionDropdown(input, index));
-    input.addEventListener("input", () =>
-      debouncedShowSectionDropdown(input, index)
-    );
-  });
+  input.addEventListener("focus", () => openCombobox(input));
+  input.addEventListener("input", () => showComboboxSoon(input));
+  input.addEventListener("keydown", handleComboboxKeydown);
+  input.addEventListener("blur", hideAllDropdowns);
+}
+
+/**
+ * Initialize course input fields with suggestions
+ */
+function initializeCourseSuggestions() {
+  document
+    .querySelectorAll(".course-code")
+    .forEach((input) => attachCombobox(input, "course"));
+  document
+    .querySelectorAll(".section")
+    .forEach((input) => attachCombobox(input, "section"));
 }
 
 // Export dropdown functions
@@ -303,6 +468,7 @@ window.dropdown = {
   showSectionDropdown,
   hideAllDropdowns,
   initializeCourseSuggestions,
+  attachCombobox,
   updateSectionOptions,
   positionDropdown,
   clearInputs, // Export the new function
@@ -0,0 +1,442 @@
+// importer.js - Builds a dataset from a CSV or XLSX export of the exam schedule
+
+const SHEETJS_URL =
+  "https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js";
+const IMPORT_SOURCE_ID = "import";
+
+// Excel counts days from 1899-12-30 (including the 1900 leap year bug)
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Columns the dialog asks for. A header that reads like one of `names`, in
+ * any case and punctuation, is taken first; `patterns` guess the rest.
+ */
+const IMPORT_FIELDS = [
+  {
+    key: "course",
+    label: "Course",
+    names: ["course", "course code", "code"],
+    patterns: [/course/i, /code/i],
+  },
+  {
+    key: "section",
+    label: "Section",
+    names: ["section", "sec", "sec no", "section no"],
+    patterns: [/sec/i],
+  },
+  {
+    key: "date",
+    label: "Date",
+    names: ["date", "exam date", "mid date", "final date"],
+    patterns: [/date/i, /day/i],
+  },
+  {
+    key: "start",
+    label: "Start Time",
+    names: ["start time", "start", "from", "time"],
+    patterns: [/start/i, /from/i, /time/i],
+  },
+  {
+    key: "end",
+    label: "End Time",
+    names: ["end time", "end", "to"],
+    patterns: [/end/i, /to\b/i],
+    optional: true,
+  },
+  {
+    key: "room",
+    label: "Room",
+    names: ["room", "room no", "venue"],
+    patterns: [/room/i, /venue/i, /hall/i],
+  },
+];
+
+let sheetJsPromise = null;
+
+/**
+ * Split CSV text into rows of cells. Handles quoted cells and picks the
+ * delimiter (comma, semicolon or tab) from the first line.
+ * @param {string} text - The CSV text
+ * @return {Array} - Array of rows, each an array of strings
+ */
+function parseCSV(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, "");
+  const delimiter = [",", ";", "\t"].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length
+      ? candidate
+      : best
+  );
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((value) => value.trim()));
+}
+
+/**
+ * Load SheetJS on first use, it is only needed for XLSX files
+ * @return {Promise<Object>} - Resolves with the XLSX global
+ */
+function loadSheetJs() {
+  if (window.XLSX) return Promise.resolve(window.XLSX);
+  if (!sheetJsPromise) {
+    sheetJsPromise = new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      script.src = SHEETJS_URL;
+      script.onload = () => resolve(window.XLSX);
+      script.onerror = () => {
+        sheetJsPromise = null;
+        reject(
+          new Error(
+            "The XLSX reader could not be loaded. Check your connection, or save the sheet as CSV and import that."
+          )
+        );
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return sheetJsPromise;
+}
+
+/**
+ * Read the first sheet of an XLSX file. Cells keep their raw values, so
+ * dates and times arrive as Excel serial numbers.
+ * @param {File} file - The XLSX file
+ * @return {Promise<Array>} - Array of rows, each an array of cell values
+ */
+function readWorkbook(file) {
+  return Promise.all([loadSheetJs(), file.arrayBuffer()]).then(
+    ([XLSX, buffer]) => {
+      const workbook = XLSX.read(buffer, { type: "array" });
+      const sheet = workbook.Sheets[workbook.SheetNames[0]];
+      return XLSX.utils
+        .sheet_to_json(sheet, { header: 1, raw: true, defval: "" })
+        .filter((cells) => cells.some((value) => String(value).trim()));
+    }
+  );
+}
+
+/**
+ * Read a CSV or XLSX file into rows of cells
+ * @param {File} file - The file picked by the user
+ * @return {Promise<Array>} - Array of rows, the first one being the headers
+ */
+function readSpreadsheet(file) {
+  if (/\.xlsx?$/i.test(file.name)) {
+    return readWorkbook(file);
+  }
+  return file.text().then(parseCSV);
+}
+
+/**
+ * Guess which column holds each field from the header names
+ * @param {Array} headers - The header row
+ * @return {Object} - Column index per field key (-1 when not found), plus examType
+ */
+function guessColumnMapping(headers) {
+  const names = headers.map((header) => String(header).trim());
+  // "Room No." and "room-no" both read "room no"
+  const normalized = names.map((name) =>
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, " ")
+      .trim()
+  );
+  const used = new Set();
+  const mapping = {};
+  const take = (field, index) => {
+    mapping[field.key] = index;
+    if (index !== -1) used.add(index);
+  };
+
+  // Exact names first, so "Course Title" or "Room Code" cannot take the
+  // column of a field whose own header is there too
+  IMPORT_FIELDS.forEach((field) => {
+    let index = -1;
+    field.names.some((fieldName) => {
+      index = normalized.findIndex(
+        (name, i) => !used.has(i) && name === fieldName
+      );
+      return index !== -1;
+    });
+    take(field, index);
+  });
+
+  IMPORT_FIELDS.filter((field) => mapping[field.key] === -1).forEach(
+    (field) => {
+      let index = -1;
+      field.patterns.some((pattern) => {
+        index = names.findIndex(
+          (name, i) => !used.has(i) && pattern.test(name)
+        );
+        return index !== -1;
+      });
+      take(field, index);
+    }
+  );
+
+  const dateHeader = mapping.date !== -1 ? names[mapping.date] : "";
+  mapping.examType = /final/i.test(dateHeader) ? "final" : "mid";
+  return mapping;
+}
+
+/**
+ * Normalise a date cell to something utils.parseDateFromJSON understands
+ * @param {string|number} value - Cell value (text or an Excel serial)
+ * @return {string} - YYYY-MM-DD, or the trimmed text if it is not recognised
+ */
+function normalizeDateCell(value) {
+  if (typeof value === "number") {
+    const date = new Date(EXCEL_EPOCH + Math.floor(value) * DAY_MS);
+    return date.toISOString().slice(0, 10);
+  }
+
+  const text = String(value).trim();
+  // Spreadsheets exported here write dates day first, e.g. 20/07/2025
+  const match = text.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{2}|\d{4})$/);
+  if (match) {
+    const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+    return `${year}-${match[2].padStart(2, "0")}-${match[1].padStart(2, "0")}`;
+  }
+  return text;
+}
+
+/**
+ * Normalise a time cell to something utils.parseTimeFromJSON understands
+ * @param {string|number} value - Cell value (text or an Excel day fraction)
+ * @return {string} - HH:MM, or the trimmed text if it is not a number
+ */
+function normalizeTimeCell(value) {
+  if (typeof value === "number") {
+    const minutes = Math.round((value % 1) * 24 * 60) % (24 * 60);
+    const hours = String(Math.floor(minutes / 60)).padStart(2, "0");
+    return `${hours}:${String(minutes % 60).padStart(2, "0")}`;
+  }
+  return String(value).trim();
+}
+
+/**
+ * Turn spreadsheet rows into exam.json rows using the chosen columns
+ * @param {Array} rows - Data rows (without the header row)
+ * @param {Object} mapping - Result of the mapping dialog
+ * @return {Array} - Rows in the exam.json format
+ */
+function buildExamRows(rows, mapping) {
+  const dateField = mapping.examType === "final" ? "Final Date" : "Mid Date";
+  const cell = (cells, key) =>
+    mapping[key] === -1 || cells[mapping[key]] === undefined
+      ? ""
+      : cells[mapping[key]];
+
+  return rows.map((cells) => {
+    let start = normalizeTimeCell(cell(cells, "start"));
+    let end = normalizeTimeCell(cell(cells, "end"));
+
+    // A single "9:30 AM - 11:00 AM" column holds both times
+    if (mapping.end === -1 || mapping.end === mapping.start) {
+      [start, end = ""] = start.split(/\s*[-–]\s*/);
+    }
+
+    return {
+      Course: String(cell(cells, "course")).trim(),
+      Section: String(cell(cells, "section")).trim(),
+      [dateField]: normalizeDateCell(cell(cells, "date")),
+      "Start Time": start,
+      "End Time": end,
+      "Room.": String(cell(cells, "room")).trim(),
+    };
+  });
+}
+
+/**
+ * Show the column-mapping dialog
+ * @param {string} fileName - Name of the imported file
+ * @param {Array} headers - The header row
+ * @param {Object} guess - Result of guessColumnMapping()
+ * @return {Promise<Object|null>} - The chosen mapping, or null if cancelled
+ */
+function openMappingDialog(fileName, headers, guess) {
+  let modal = document.getElementById("import-mapping-modal");
+  if (!modal) {
+    modal = document.createElement("div");
+    modal.id = "import-mapping-modal";
+    modal.className =
+      "fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-75 p-4";
+    modal.setAttribute("role", "dialog");
+    modal.setAttribute("aria-modal", "true");
+    modal.setAttribute("aria-labelledby", "import-mapping-title");
+    document.body.appendChild(modal);
+  }
+
+  modal.innerHTML = `
+    <form class="bg-gray-800 text-gray-200 rounded-lg p-6 w-full max-w-md text-sm">
+      <h2 id="import-mapping-title" class="text-lg font-bold mb-1">Map columns</h2>
+      <p class="text-gray-400 mb-4"></p>
+      ${IMPORT_FIELDS.map(
+        (field) => `
+        <label class="flex items-center justify-between gap-3 mb-2">
+          <span>${field.label}</span>
+          <select name="${field.key}" class="bg-gray-700 rounded px-2 py-1 w-1/2"></select>
+        </label>`
+      ).join("")}
+      <label class="flex items-center justify-between gap-3 mb-4">
+        <span>Exam type</span>
+        <select name="examType" class="bg-gray-700 rounded px-2 py-1 w-1/2">
+          ${Object.entries(data.EXAM_TYPE_LABELS)
+            .map(
+              ([type, label]) =>
+                `<option value="${type}"${
+                  type === guess.examType ? " selected" : ""
+                }>${label}</option>`
+            )
+            .join("")}
+        </select>
+      </label>
+      <div class="flex justify-end gap-2">
+        <button type="button" class="import-cancel px-4 py-2 rounded-lg hover:bg-gray-700">Cancel</button>
+        <button type="submit" class="px-4 py-2 rounded-lg bg-blue-500 text-white hover:bg-blue-600">Import</button>
+      </div>
+    </form>
+  `;
+  // Header and file names come from the user's file, so they are set as text
+  modal.querySelector(
+    "p"
+  ).textContent = `Which columns of ${fileName} hold each field?`;
+  IMPORT_FIELDS.forEach((field) => {
+    const select = modal.querySelector(`select[name="${field.key}"]`);
+    const addOption = (value, text) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = text;
+      select.appendChild(option);
+      return option;
+    };
+
+    if (field.optional) {
+      addOption("-1", "Same as Start Time");
+    } else if (guess[field.key] === -1) {
+      addOption("", "Choose a column").disabled = true;
+    }
+    headers.forEach((header, index) =>
+      addOption(String(index), String(header).trim() || `Column ${index + 1}`)
+    );
+    select.value = String(guess[field.key]);
+    if (select.selectedIndex === -1) select.value = "";
+  });
+  modal.classList.remove("hidden");
+
+  return new Promise((resolve) => {
+    const form = modal.querySelector("form");
+    const close = (result) => {
+      modal.classList.add("hidden");
+      resolve(result);
+    };
+
+    modal
+      .querySelector(".import-cancel")
+      .addEventListener("click", () => close(null));
+    form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      const mapping = { examType: form.elements.examType.value };
+      IMPORT_FIELDS.forEach((field) => {
+        const value = form.elements[field.key].value;
+        mapping[field.key] = value === "" ? -1 : Number(value);
+      });
+
+      const missing = IMPORT_FIELDS.filter(
+        (field) => !field.optional && mapping[field.key] === -1
+      );
+      if (missing.length > 0) {
+        ui.showToast(
+          `Choose a column for ${missing
+            .map((field) => field.label)
+            .join(", ")}`,
+          "error"
+        );
+        return;
+      }
+      close(mapping);
+    });
+  });
+}
+
+/**
+ * Import a CSV or XLSX file as the active dataset
+ * @param {File} file - The file picked by the user
+ * @return {Promise} - Resolves once the imported data is loaded (or the import was cancelled)
+ */
+function importFile(file) {
+  if (!file) return Promise.resolve();
+
+  return readSpreadsheet(file)
+    .then((rows) => {
+      if (rows.length < 2) {
+        throw new Error("The file has no data rows");
+      }
+      const headers = rows[0];
+      return openMappingDialog(
+        file.name,
+        headers,
+        guessColumnMapping(headers)
+      ).then((mapping) => {
+        if (!mapping) return;
+
+        const source = sources.registerSessionSource({
+          id: IMPORT_SOURCE_ID,
+          label: `Imported: ${file.name}`,
+          term: sources.getActiveSource().term,
+          jsonUrl: null,
+          pdfUrl: null,
+          json: { exams: buildExamRows(rows.slice(1), mapping) },
+        });
+        ui.renderSourceSwitcher(sources.getSources(), source.id);
+        return app.switchSource(source.id);
+      });
+    })
+    .catch((error) => {
+      console.error("Error importing spreadsheet:", error);
+      ui.showToast(`Could not import ${file.name}: ${error.message}`, "error");
+    });
+}
+
+// Export importer functions
+window.importer = {
+  parseCSV,
+  guessColumnMapping,
+  buildExamRows,
+  importFile,
+};
@@ -0,0 +1,234 @@
+// local-files.js - Use an exam.json and/or exam.pdf from the user's device
+
+const LOCAL_SOURCE_ID = "local";
+const LOCAL_DB_NAME = "examflask-local";
+const LOCAL_DB_VERSION = 1;
+const LOCAL_STORE = "files";
+
+// The dropped files, as { name, data } records keyed "json" and "pdf"
+let loadedFiles = {};
+
+/**
+ * Open the IndexedDB database that keeps the local files between visits
+ * @return {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+    const request = indexedDB.open(LOCAL_DB_NAME, LOCAL_DB_VERSION);
+    request.onupgradeneeded = () =>
+      request.result.createObjectStore(LOCAL_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run a single request against the files store
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {Function} makeRequest - Called with the store, returns an IDBRequest
+ * @return {Promise} - Resolves with the request result
+ */
+function withStore(mode, makeRequest) {
+  return openDatabase().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const transaction = db.transaction(LOCAL_STORE, mode);
+        const request = makeRequest(transaction.objectStore(LOCAL_STORE));
+        transaction.oncomplete = () => {
+          db.close();
+          resolve(request.result);
+        };
+        transaction.onerror = () => {
+          db.close();
+          reject(transaction.error);
+        };
+      })
+  );
+}
+
+/**
+ * Read a dropped file as an exam.json or exam.pdf record
+ * @param {File} file - The dropped file
+ * @return {Promise<Object>} - Resolves with { kind, name, data }
+ */
+function readLocalFile(file) {
+  if (/\.json$/i.test(file.name) || file.type === "application/json") {
+    return file.text().then((text) => {
+      const json = JSON.parse(text);
+      if (!json || !Array.isArray(json.exams)) {
+        throw new Error(`${file.name} has no "exams" list`);
+      }
+      return { kind: "json", name: file.name, data: json };
+    });
+  }
+  if (/\.pdf$/i.test(file.name) || file.type === "application/pdf") {
+    return file
+      .arrayBuffer()
+      .then((buffer) => ({ kind: "pdf", name: file.name, data: buffer }));
+  }
+  return Promise.reject(
+    new Error(`${file.name} is neither an exam.json nor an exam.pdf`)
+  );
+}
+
+/**
+ * Add (or refresh) the "Local files" dataset from the files in memory. Files
+ * that were not provided still come from the default remote dataset.
+ * @return {Object|null} - The local source, or null if there are no local files
+ */
+function registerLocalSource() {
+  const forgetBtn = document.getElementById("forget-local-btn");
+  if (forgetBtn) forgetBtn.classList.toggle("hidden", !hasLocalFiles());
+
+  if (!hasLocalFiles()) {
+    sources.removeSessionSource(LOCAL_SOURCE_ID);
+    return null;
+  }
+
+  const remote = sources.getSourceParts(sources.getSources()[0])[0];
+  const names = [loadedFiles.json, loadedFiles.pdf]
+    .filter(Boolean)
+    .map((file) => file.name);
+
+  return sources.registerSessionSource({
+    id: LOCAL_SOURCE_ID,
+    label: `Local: ${names.join(" + ")}`,
+    term: remote.term,
+    persistent: true,
+    jsonUrl: loadedFiles.json ? null : remote.jsonUrl,
+    pdfUrl: loadedFiles.pdf ? null : remote.pdfUrl,
+    json: loadedFiles.json ? loadedFiles.json.data : null,
+    pdfData: loadedFiles.pdf ? loadedFiles.pdf.data : null,
+  });
+}
+
+/**
+ * Load the files saved on a previous visit. Must run before the active source
+ * is first read so a saved "local" choice is honoured.
+ * @return {Promise} - Always resolves
+ */
+function restoreLocalFiles() {
+  return Promise.all([
+    withStore("readonly", (store) => store.get("json")),
+    withStore("readonly", (store) => store.get("pdf")),
+  ])
+    .then(([json, pdf]) => {
+      loadedFiles = {};
+      if (json) loadedFiles.json = json;
+      if (pdf) loadedFiles.pdf = pdf;
+      registerLocalSource();
+    })
+    .catch((error) => console.warn("Could not restore local files:", error));
+}
+
+/**
+ * Use dropped or picked files in place of the remote exam.json/exam.pdf
+ * @param {FileList|Array} fileList - The files
+ * @return {Promise} - Resolves once the local data is loaded
+ */
+function useLocalFiles(fileList) {
+  const files = Array.from(fileList || []);
+  if (files.length === 0) return Promise.resolve();
+
+  return Promise.all(files.map(readLocalFile))
+    .then((records) => {
+      records.forEach((record) => {
+        loadedFiles[record.kind] = { name: record.name, data: record.data };
+      });
+
+      const source = registerLocalSource();
+      ui.renderSourceSwitcher(sources.getSources(), source.id);
+
+      // Keep the files for later visits, but use them now even if that fails
+      Promise.all(
+        records.map((record) =>
+          withStore("readwrite", (store) =>
+            store.put(loadedFiles[record.kind], record.kind)
+          )
+        )
+      ).catch((error) => {
+        console.warn("Could not save local files:", error);
+        ui.showToast("Local files will only be kept for this visit", "info");
+      });
+
+      return app.switchSource(source.id);
+    })
+    .catch((error) => {
+      console.error("Error reading local files:", error);
+      ui.showToast(`Could not use local files: ${error.message}`, "error");
+    });
+}
+
+/**
+ * Delete the saved local files and go back to the default dataset
+ * @return {Promise}
+ */
+function forgetLocalFiles() {
+  const wasActive = sources.getActiveSource().id === LOCAL_SOURCE_ID;
+  loadedFiles = {};
+  registerLocalSource();
+
+  return withStore("readwrite", (store) => store.clear())
+    .catch((error) => console.warn("Could not delete local files:", error))
+    .then(() => {
+      const activeId = wasActive
+        ? sources.getSources()[0].id
+        : sources.getActiveSource().id;
+      ui.renderSourceSwitcher(sources.getSources(), activeId);
+      if (wasActive) return app.switchSource(activeId);
+    });
+}
+
+/**
+ * Check whether local files are in use
+ * @return {boolean}
+ */
+function hasLocalFiles() {
+  return Boolean(loadedFiles.json || loadedFiles.pdf);
+}
+
+/**
+ * Accept exam.json/exam.pdf files dropped anywhere on the page
+ */
+function setupDropZone() {
+  const overlay = document.getElementById("drop-overlay");
+  const hasFiles = (event) =>
+    event.dataTransfer &&
+    Array.from(event.dataTransfer.types).includes("Files");
+  let depth = 0;
+
+  document.addEventListener("dragenter", (event) => {
+    if (!hasFiles(event)) return;
+    depth++;
+    overlay.classList.remove("hidden");
+  });
+  document.addEventListener("dragleave", (event) => {
+    if (!hasFiles(event)) return;
+    depth = Math.max(0, depth - 1);
+    if (depth === 0) overlay.classList.add("hidden");
+  });
+  document.addEventListener("dragover", (event) => {
+    if (hasFiles(event)) event.preventDefault();
+  });
+  document.addEventListener("drop", (event) => {
+    if (!hasFiles(event)) return;
+    event.preventDefault();
+    depth = 0;
+    overlay.classList.add("hidden");
+    useLocalFiles(event.dataTransfer.files);
+  });
+}
+
+// Export local file functions
+window.localFiles = {
+  LOCAL_SOURCE_ID,
+  restoreLocalFiles,
+  useLocalFiles,
+  forgetLocalFiles,
+  hasLocalFiles,
+  setupDropZone,
+};
@@ -77,13 +77,13 @@ if (!window.PDF_SCREENSHOT_HELPER_LOADED) {
 
 /**
  * Add a course to the schedule based on input values
- * @param {number} index - The index of the input row
+ * @param {string} rowId - The id of the input row
  */
-function addCourseFromInput(index) {
-  const courseInput = document.querySelectorAll(".course-code")[index];
-  const sectionInput = document.querySelectorAll(".section")[index];
-  const courseCode = courseInput.value.trim().toUpperCase();
-  const section = sectionInput.value.trim();
+function addCourseFromInput(rowId) {
+  const row = courseRows.getRow(rowId);
+  if (!row) return;
+  const courseCode = row.courseInput.value.trim().toUpperCase();
+  const section = row.sectionInput.value.trim();
 
   if (courseCode && section) {
     // Find matching exams in the data
@@ -93,7 +93,7 @@ function addCourseFromInput(index) {
       // Add matching exams to the schedule
       ui.addExamsToSchedule(matchingExams);
       ui.showToast(
-        `Added ${courseCode} Section ${section} to exam schedule`,
+        `Added ${matchingExams[0].courseCode} Section ${matchingExams[0].section} to exam schedule`,
         "success"
       );
     } else {
@@ -105,102 +105,157 @@ function addCourseFromInput(index) {
   } else {
     ui.showToast("Please enter both course code and section", "error");
   }
+
+  // Clear inputs after adding
+  dropdown.clearInputs(rowId);
 }
 
 /**
- * Adds more course input rows
+ * Switch to another data source and reload the exam data
+ * @param {string} sourceId - The id of the source to activate
+ * @return {Promise}
  */
-function addMoreInputs() {
-  // Get the container and count existing rows
-  const courseInputsContainer = document.getElementById("course-inputs");
-  const currentRowCount =
-    courseInputsContainer.querySelectorAll(".input-row").length;
-
-  // Check if we've reached the maximum allowed rows (7)
-  if (currentRowCount >= 7) {
-    ui.showToast("Maximum of 7 course inputs allowed", "info");
-    return;
+function switchSource(sourceId) {
+  const source = sources.setActiveSource(sourceId);
+  if (!source) {
+    ui.showToast("Unknown data source", "error");
+    return Promise.resolve();
   }
 
-  // Create new row
-  const newRow = document.createElement("div");
-  newRow.className = "input-row";
-
-  // Row index for this new row
-  const rowIndex = currentRowCount;
-
-  // Create HTML for the new row with all elements
-  newRow.innerHTML = `
-        <input type="text" placeholder="Course Code" class="course-code bg-white text-gray-800 p-3 rounded-lg mb-2 w-full text-center" autocomplete="on">
-        <input type="text" placeholder="Sec" class="section bg-white text-gray-800 p-3 rounded-lg mb-2 w-full text-center" autocomplete="on">
-        <button class="add-course bg-yellow-300 text-gray-800 p-3 rounded-lg mb-2 w-full flex items-center justify-center transition">
-            <i class="fas fa-plus mr-2"></i>Add
-        </button>
-    `;
-
-  // Append the new row to the container
-  courseInputsContainer.appendChild(newRow);
-
-  // Get the new inputs and button
-  const newCourseInput = newRow.querySelector(".course-code");
-  const newSectionInput = newRow.querySelector(".section");
-  const newAddButton = newRow.querySelector(".add-course");
-
-  // Set up event listeners for the new course input
-  newCourseInput.addEventListener("focus", () =>
-    dropdown.showCourseDropdown(newCourseInput, rowIndex)
-  );
-  newCourseInput.addEventListener("input", () => {
-    dropdown.showCourseDropdown(newCourseInput, rowIndex);
-  });
+  dropdown.hideAllDropdowns();
+  ui.showToast(`Loading ${source.label}...`, "info");
+  return data.loadScheduleData().then(() => offline.refreshOfflineData());
+}
 
-  // Set up event listeners for the new section input
-  newSectionInput.addEventListener("focus", () =>
-    dropdown.showSectionDropdown(newSectionInput, rowIndex)
-  );
-  newSectionInput.addEventListener("input", () => {
-    dropdown.showSectionDropdown(newSectionInput, rowIndex);
-  });
+/**
+ * Set up all event listeners
+ */
+function setupEventListeners() {
+  // Data source switcher
+  document
+    .getElementById("source-select")
+    .addEventListener("change", function () {
+      switchSource(this.value);
+    });
 
-  // Add event listener for the new add button
-  newAddButton.addEventListener("click", () => {
-    addCourseFromInput(rowIndex);
-  });
+  // Paste a whole course list
+  document
+    .getElementById("paste-list-btn")
+    .addEventListener("click", pasteList.togglePasteList);
+  document
+    .getElementById("paste-list-preview-btn")
+    .addEventListener("click", pasteList.previewPastedList);
+  document
+    .getElementById("paste-list-cancel-btn")
+    .addEventListener("click", pasteList.closePasteList);
 
-  // Add event listeners for keyboard navigation
-  newCourseInput.addEventListener("keydown", (e) => {
-    if (e.key === "Tab" && !e.shiftKey) {
-      e.preventDefault();
-      newSectionInput.focus();
-    }
-  });
+  // Class schedule copied or saved from the portal
+  document
+    .getElementById("portal-import-btn")
+    .addEventListener("click", function () {
+      portalSchedule.importPortalSchedule(
+        document.getElementById("paste-list-input").value
+      );
+    });
+  document
+    .getElementById("portal-file-btn")
+    .addEventListener("click", function () {
+      document.getElementById("portal-file-input").click();
+    });
+  document
+    .getElementById("portal-file-input")
+    .addEventListener("change", function () {
+      portalSchedule.importPortalFile(this.files[0]);
+      this.value = "";
+    });
 
-  newSectionInput.addEventListener("keydown", (e) => {
-    if (e.key === "Tab" && !e.shiftKey) {
-      e.preventDefault();
-      newAddButton.focus();
-    }
+  // Spreadsheet import
+  document.getElementById("import-btn").addEventListener("click", function () {
+    document.getElementById("import-file").click();
   });
+  document
+    .getElementById("import-file")
+    .addEventListener("change", function () {
+      importer.importFile(this.files[0]);
+      // Allow picking the same file again
+      this.value = "";
+    });
 
-  // Prevent arrow key input for course and section fields
-  [newCourseInput, newSectionInput].forEach((input) => {
-    input.addEventListener("keydown", (e) => {
-      if (["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight"].includes(e.key)) {
-        e.preventDefault();
-      }
+  // Local exam.json/exam.pdf, picked or dropped on the page
+  document
+    .getElementById("local-files-btn")
+    .addEventListener("click", function () {
+      document.getElementById("local-files-input").click();
+    });
+  document
+    .getElementById("local-files-input")
+    .addEventListener("change", function () {
+      localFiles.useLocalFiles(this.files);
+      this.value = "";
+    });
+  document
+    .getElementById("forget-local-btn")
+    .addEventListener("click", function () {
+      localFiles.forgetLocalFiles();
+    });
+  localFiles.setupDropZone();
+
+  // Course input rows and the add row button
+  courseRows.initializeRows();
+
+  // Clash warnings in the screenshot
+  document
+    .getElementById("conflicts-in-screenshot")
+    .addEventListener("change", function () {
+      conflicts.setConflictsInScreenshot(this.checked);
+    });
+  document
+    .getElementById("max-exams-per-day")
+    .addEventListener("change", function () {
+      conflicts.setConflictSettings({ maxExamsPerDay: this.value });
+    });
+  document
+    .getElementById("min-gap-minutes")
+    .addEventListener("change", function () {
+      conflicts.setConflictSettings({ minGapMinutes: this.value });
+    });
+  // QR code of the routine link, and whether screenshots carry it
+  document
+    .getElementById("qr-in-screenshot")
+    .addEventListener("change", function () {
+      qrCode.setQrInScreenshot(this.checked);
+    });
+
+  // Table, calendar or timeline
+  document
+    .getElementById("view-select")
+    .addEventListener("change", function () {
+      routineViews.setRoutineView(this.value);
+    });
+
+  // Sortable headers toggle, so they must only be wired once
+  document.querySelectorAll("#exam-schedule [data-sort]").forEach((button) => {
+    if (button.dataset.wired) return;
+    button.dataset.wired = "true";
+    button.addEventListener("click", function () {
+      routineSort.toggleRoutineSort(this.dataset.sort);
     });
   });
-}
 
-/**
- * Set up all event listeners
- */
-function setupEventListeners() {
-  // Add more button
+  // Group by date or building
   document
-    .getElementById("add-more-btn")
-    .addEventListener("click", function () {
-      addMoreInputs();
+    .getElementById("group-select")
+    .addEventListener("change", function () {
+      routineSort.setRoutineGrouping(this.value);
+    });
+
+  // Midterm/final tabs
+  document
+    .querySelectorAll("#exam-type-tabs [data-exam-type]")
+    .forEach((tab) => {
+      tab.addEventListener("click", function () {
+        ui.setExamTypeFilter(this.dataset.examType);
+      });
     });
 
   // Screenshot button
@@ -215,6 +270,27 @@ function setupEventListeners() {
       handleCrossCheck();
     });
 
+  // Shareable links
+  document
+    .getElementById("share-link-btn")
+    .addEventListener("click", share.copyShareLink);
+  document
+    .getElementById("share-qr-btn")
+    .addEventListener("click", qrCode.toggleShareQr);
+  document
+    .getElementById("share-qr-download-btn")
+    .addEventListener("click", qrCode.downloadShareQr);
+  document
+    .getElementById("shared-import-btn")
+    .addEventListener("click", share.importSharedRoutine);
+  document
+    .getElementById("shared-close-btn")
+    .addEventListener("click", share.closeSharedRoutine);
+  // Another shared routine pasted into the address bar
+  window.addEventListener("hashchange", function () {
+    if (share.parseShareHash(location.hash)) location.reload();
+  });
+
   // Modal close button
   document
     .getElementById("close-modal-btn")
@@ -231,58 +307,6 @@ function setupEventListeners() {
       }
     });
 
-  // Add course buttons
-  document.querySelectorAll(".add-course").forEach((btn, index) => {
-    btn.addEventListener("click", function () {
-      const courseInput = document.querySelectorAll(".course-code")[index];
-      const sectionInput = document.querySelectorAll(".section")[index];
-      const course = courseInput.value.trim();
-      const section = sectionInput.value.trim();
-
-      if (course && section) {
-        // Find matching exams in the data
-        const matchingExams = data.findExams(course, section);
-
-        if (matchingExams.length > 0) {
-          // Add matching exams to the schedule
-          ui.addExamsToSchedule(matchingExams);
-          ui.showToast(
-            `Added ${course} Section ${section} to exam schedule`,
-            "success"
-          );
-        } else {
-          ui.showToast(
-            `No exam found for ${course} Section ${section}`,
-            "error"
-          );
-        }
-      } else {
-        ui.showToast("Please enter both course code and section", "error");
-      }
-
-      // Clear inputs after adding
-      if (
-        window.dropdown &&
-        typeof window.dropdown.clearInputs === "function"
-      ) {
-        window.dropdown.clearInputs(index);
-      } else {
-        // fallback if dropdown.js not loaded
-        courseInput.value = "";
-        sectionInput.value = "";
-      }
-    });
-  });
-
-  // Prevent arrow key input for initial course and section fields
-  document.querySelectorAll(".course-code, .section").forEach((input) => {
-    input.addEventListener("keydown", (e) => {
-      if (["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight"].includes(e.key)) {
-        e.preventDefault();
-      }
-    });
-  });
-
   // Click outside handler for dropdowns
   document.addEventListener("click", function (e) {
     if (!e.target.closest(".course-code") && !e.target.closest(".section")) {
@@ -312,13 +336,13 @@ function setupEventListeners() {
 
 /**
  * Handle the cross-check functionality
+ * @param {Array} [exams] - The exams to check, defaults to those in the table
  */
-function handleCrossCheck() {
+function handleCrossCheck(exams) {
   // Get all current exams from the table
-  const scheduleBody = document.getElementById("schedule-body");
-  const rows = Array.from(scheduleBody.querySelectorAll("tr"));
+  const scheduleExams = exams || ui.getVisibleScheduleExams();
 
-  if (rows.length === 0) {
+  if (scheduleExams.length === 0) {
     ui.showToast("No exams to cross-check. Please add courses first.", "error");
     return;
   }
@@ -326,26 +350,17 @@ function handleCrossCheck() {
   // Show loading toast
   ui.showToast("Preparing PDF viewer...", "info");
 
-  // Extract exam information from the displayed table
-  const tableExams = rows.map((row) => {
-    const courseCode = row.cells[2].textContent;
-    const section = row.cells[3].textContent;
-
-    // Find the exam in the full examData to get its page number
-    const matchingExams = data.findExams(courseCode, section);
-    const pageNumber =
-      matchingExams.length > 0 ? matchingExams[0].pageNumber : -1;
-    const boundingBox =
-      matchingExams.length > 0 ? matchingExams[0].boundingBox : null;
+  // Rows restored from storage may not carry page data yet, so look it up
+  const tableExams = scheduleExams.map((exam) => {
+    if (exam.pageNumber > 0) return exam;
 
+    const match = routineChanges.findLatestExam(exam);
     return {
-      date: row.cells[0].textContent,
-      time: row.cells[1].textContent,
-      courseCode: courseCode,
-      section: section,
-      classroom: row.cells[4].textContent,
-      pageNumber: pageNumber,
-      boundingBox: boundingBox,
+      ...exam,
+      sourceId: match ? match.sourceId : exam.sourceId,
+      rooms: match ? match.rooms : exam.rooms,
+      pageNumber: match ? match.pageNumber : -1,
+      boundingBox: match ? match.boundingBox : null,
     };
   });
   // Use the PDF viewer instead of trying to use pdfHelper
@@ -377,60 +392,18 @@ function handleCrossCheck() {
   }
 }
 
-// Save schedule to localStorage
-function saveScheduleToLocalStorage() {
-  const rows = Array.from(document.querySelectorAll("#schedule-body tr")).map(
-    (tr) => Array.from(tr.children).map((td) => td.textContent)
-  );
-  localStorage.setItem("examSchedule", JSON.stringify(rows));
-}
-
-// Load schedule from localStorage
-function loadScheduleFromLocalStorage() {
-  const data = JSON.parse(localStorage.getItem("examSchedule") || "[]");
-  const tbody = document.getElementById("schedule-body");
-  tbody.innerHTML = "";
-  data.forEach((row) => {
-    const tr = document.createElement("tr");
-    row.forEach((cellText) => {
-      const td = document.createElement("td");
-      td.textContent = cellText;
-      tr.appendChild(td);
-    });
-    tbody.appendChild(tr);
-  });
-}
-
-// Load routine from localStorage on page load
+// Load the open profile's routine from localStorage on page load
 document.addEventListener("DOMContentLoaded", function () {
-  if (
-    window.ui &&
-    typeof window.ui.loadRoutineFromLocalStorage === "function"
-  ) {
-    window.ui.loadRoutineFromLocalStorage();
-  }
-  data.loadScheduleData();
+  profiles.initializeProfiles();
+  if (!share.openSharedLink()) routine.loadRoutine();
+  routineViews.setRoutineView(routineViews.getRoutineView());
+  countdown.startCountdown();
 });
 
-// Save routine after adding/removing a row
-function onScheduleTableChanged() {
-  if (window.ui && typeof window.ui.saveRoutineToLocalStorage === "function") {
-    window.ui.saveRoutineToLocalStorage();
-  }
-}
-
-// Example: After adding a row
-// onScheduleTableChanged();
-
-// Example: After removing a row
-// onScheduleTableChanged();
-
 // When resetting the table
 document.getElementById("reset-btn").addEventListener("click", function () {
-  document.getElementById("schedule-body").innerHTML = "";
-  if (window.ui && typeof window.ui.clearRoutineLocalStorage === "function") {
-    window.ui.clearRoutineLocalStorage();
-  }
+  routine.clearRoutine();
+  routineChanges.clearRoutineChanges();
 });
 
 /**
@@ -440,9 +413,19 @@ function initialize() {
   // Set up toast notification container
   const toastContainer = document.getElementById("toast-container");
 
-  // Load schedule data
-  data
-    .loadScheduleData()
+  // Local files saved on an earlier visit may be the active source
+  localFiles
+    .restoreLocalFiles()
+    .then(() => {
+      // Show the available data sources
+      ui.renderSourceSwitcher(
+        sources.getSources(),
+        sources.getActiveSource().id
+      );
+
+      // Load schedule data
+      return data.loadScheduleData();
+    })
     .then(() => {
       // Initialize suggestions after data is loaded
       dropdown.initializeCourseSuggestions();
@@ -473,7 +456,7 @@ document.addEventListener("DOMContentLoaded", initialize);
 window.app = {
   initialize,
   addCourseFromInput,
-  addMoreInputs,
+  switchSource,
   setupEventListeners,
   handleCrossCheck,
 };
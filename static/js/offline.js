@@ -0,0 +1,130 @@
+// offline.js - Service worker registration and the "available offline" indicator
+
+/**
+ * Register the service worker and start tracking the connection state
+ * @return {Promise} - Resolves once registration finished (or was skipped)
+ */
+function registerServiceWorker() {
+  window.addEventListener("online", handleOnline);
+  window.addEventListener("offline", updateOfflineStatus);
+
+  if (!("serviceWorker" in navigator)) {
+    console.warn("Service workers are not supported, offline mode disabled");
+    updateOfflineStatus();
+    return Promise.resolve();
+  }
+
+  navigator.serviceWorker.addEventListener("message", handleWorkerMessage);
+
+  return navigator.serviceWorker
+    .register("/sw.js")
+    .then(() => navigator.serviceWorker.ready)
+    .then(() => refreshOfflineData())
+    .catch((error) => {
+      console.error("Service worker registration failed:", error);
+      updateOfflineStatus();
+    });
+}
+
+/**
+ * Ask the service worker to store the active dataset, then update the indicator
+ * @return {Promise}
+ */
+function refreshOfflineData() {
+  const parts = sources.getSourceParts(sources.getActiveSource());
+  const controller =
+    navigator.serviceWorker && navigator.serviceWorker.controller;
+
+  if (controller) {
+    controller.postMessage({
+      type: "cache-data",
+      urls: parts
+        .flatMap((part) => [part.jsonUrl, part.pdfUrl])
+        .filter(Boolean),
+    });
+  }
+  return updateOfflineStatus();
+}
+
+/**
+ * Check whether all data files of a source are in the cache
+ * @param {Object} source - The data source
+ * @return {Promise<boolean>}
+ */
+function isSourceCached(source) {
+  if (!window.caches) return Promise.resolve(false);
+  const urls = sources
+    .getSourceParts(source)
+    .flatMap((part) => [part.jsonUrl, part.pdfUrl])
+    .filter(Boolean);
+  // Imported and local datasets are already on the device
+  if (urls.length === 0) return Promise.resolve(true);
+  return Promise.all(urls.map((url) => caches.match(url)))
+    .then((responses) => responses.every(Boolean))
+    .catch(() => false);
+}
+
+/**
+ * Update the header indicator from the connection state and the cache contents
+ * @return {Promise}
+ */
+function updateOfflineStatus() {
+  const indicator = document.getElementById("offline-status");
+  if (!indicator) return Promise.resolve();
+
+  return isSourceCached(sources.getActiveSource()).then((cached) => {
+    if (!navigator.onLine) {
+      indicator.innerHTML = cached
+        ? '<i class="fas fa-plane mr-1"></i>Offline - using saved data'
+        : '<i class="fas fa-exclamation-triangle mr-1"></i>Offline - data not saved';
+      indicator.className = cached
+        ? "text-xs text-yellow-400 mr-3 self-center"
+        : "text-xs text-red-400 mr-3 self-center";
+    } else if (cached) {
+      indicator.innerHTML =
+        '<i class="fas fa-check-circle mr-1"></i>Available offline';
+      indicator.className = "text-xs text-green-400 mr-3 self-center";
+    } else {
+      indicator.className = "hidden";
+    }
+  });
+}
+
+/**
+ * Revalidate cached data in the background once the network is back
+ */
+function handleOnline() {
+  updateOfflineStatus();
+  const controller =
+    navigator.serviceWorker && navigator.serviceWorker.controller;
+  if (controller) {
+    controller.postMessage({ type: "revalidate" });
+  }
+}
+
+/**
+ * Handle messages from the service worker
+ * @param {MessageEvent} event - The message event
+ */
+function handleWorkerMessage(event) {
+  const message = event.data || {};
+  if (message.type !== "data-revalidated") return;
+
+  // Reload the schedule if the data of the selected dataset changed; the
+  // worker only lists files whose content differs from the cached copy
+  const parts = sources.getSourceParts(sources.getActiveSource());
+  if (parts.some((part) => message.urls.includes(part.jsonUrl))) {
+    data.loadScheduleData();
+  }
+  updateOfflineStatus();
+}
+
+// Register once the page has finished loading so it does not delay first paint
+window.addEventListener("load", registerServiceWorker);
+
+// Export offline functions
+window.offline = {
+  registerServiceWorker,
+  refreshOfflineData,
+  updateOfflineStatus,
+};
@@ -0,0 +1,242 @@
+// paste-list.js - Add a whole pasted course list to the routine at once
+
+// A course code such as CSE110, "mat 120" or "PHY-111", optionally followed by
+// a section such as "05", "-3", "sec 12", "section: 7", "(03)" or "[Sec-05]".
+// portal-schedule.js reads course cells with it too.
+const COURSE_ENTRY_PATTERN =
+  /\b([a-z]{2,4})\s*-?\s*(\d{3}[a-z]?)\b(?:\s*(?:[-–:/,]\s*)?[([]?\s*(?:sec(?:tion)?\.?\s*[-:]?\s*)?(\d{1,2})\b(?:\s*[)\]])?)?/gi;
+
+// Courses suggested for an unknown code
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * Find the course and section pairs in free text
+ * @param {string} text - e.g. "CSE110 05, MAT120 (03), PHY111 sec 12"
+ * @return {Array} - Array of { text, courseCode, section }; section is null when none was given
+ */
+function parseCourseList(text) {
+  return Array.from(String(text || "").matchAll(COURSE_ENTRY_PATTERN)).map(
+    (match) => ({
+      text: match[0].trim(),
+      courseCode: `${match[1]}${match[2]}`.toUpperCase(),
+      section: match[3] || null,
+    })
+  );
+}
+
+/**
+ * Resolve a pasted entry against the loaded data
+ * @param {Object} entry - Entry from parseCourseList()
+ * @return {Object} - The entry with a status ("matched", "ambiguous" or
+ *   "not-found"), the matched exams and, for ambiguous entries, the choices
+ */
+function resolveEntry(entry) {
+  if (entry.section) {
+    const exams = data.findExams(entry.courseCode, entry.section);
+    if (exams.length > 0) {
+      return { ...entry, status: "matched", exams, choices: [] };
+    }
+  }
+
+  // Without a section every section of the course is a candidate
+  if (!entry.section) {
+    const sections = data.getSectionsForCourse(entry.courseCode);
+    if (sections.length > 0) {
+      return {
+        ...entry,
+        status: "ambiguous",
+        exams: [],
+        choices: sections
+          .sort((a, b) => (parseInt(a, 10) || 0) - (parseInt(b, 10) || 0))
+          .map((section) => ({ courseCode: entry.courseCode, section })),
+      };
+    }
+  }
+
+  // A misspelt code: suggest similar courses that have the section
+  const choices = courseSearch
+    .rankCourses(entry.courseCode, data.getAvailableCourses())
+    .filter(
+      (match) =>
+        !entry.section ||
+        data.findExams(match.courseCode, entry.section).length > 0
+    )
+    .slice(0, MAX_SUGGESTIONS)
+    .map((match) => ({
+      courseCode: match.courseCode,
+      section: entry.section
+        ? data.findExams(match.courseCode, entry.section)[0].section
+        : data.getSectionsForCourse(match.courseCode)[0],
+    }));
+
+  return {
+    ...entry,
+    status: choices.length > 0 ? "ambiguous" : "not-found",
+    exams: [],
+    choices,
+  };
+}
+
+/**
+ * Describe an entry for the preview
+ * @param {Object} entry - A resolved entry
+ * @return {string}
+ */
+function describeEntry(entry) {
+  const label = entry.section
+    ? `${entry.courseCode} Section ${entry.section}`
+    : entry.courseCode;
+
+  if (entry.status === "matched") {
+    const exam = entry.exams[0];
+    return `${exam.courseCode} Section ${exam.section} - ${exam.date}, ${exam.time}`;
+  }
+  if (entry.status === "ambiguous") {
+    return entry.section
+      ? `${label} not found, did you mean:`
+      : `${label} - which section?`;
+  }
+  return `${label} not found`;
+}
+
+/**
+ * Show the matched, ambiguous and unknown entries of the pasted text
+ * @param {Array} entries - Resolved entries
+ */
+function renderPreview(entries) {
+  const preview = document.getElementById("paste-list-preview");
+  const addBtn = document.getElementById("paste-list-add-btn");
+  preview.innerHTML = "";
+
+  if (entries.length === 0) {
+    preview.textContent = "No course codes found in the text.";
+    addBtn.classList.add("hidden");
+    return;
+  }
+
+  const groups = [
+    { status: "matched", title: "Found", icon: "fa-check text-green-400" },
+    {
+      status: "ambiguous",
+      title: "Needs a choice",
+      icon: "fa-question text-yellow-400",
+    },
+    { status: "not-found", title: "Not found", icon: "fa-times text-red-400" },
+  ];
+
+  groups.forEach((group) => {
+    const groupEntries = entries.filter(
+      (entry) => entry.status === group.status
+    );
+    if (groupEntries.length === 0) return;
+
+    const heading = document.createElement("div");
+    heading.className = "font-bold mt-2";
+    heading.innerHTML = `<i class="fas ${group.icon} mr-2"></i>`;
+    heading.append(`${group.title} (${groupEntries.length})`);
+    preview.appendChild(heading);
+
+    groupEntries.forEach((entry) => {
+      const item = document.createElement("div");
+      item.className = "flex flex-wrap items-center gap-2 ml-6";
+      item.textContent = describeEntry(entry);
+
+      if (entry.status === "ambiguous") {
+        const select = document.createElement("select");
+        select.className = "bg-gray-700 rounded px-2 py-1";
+        select.setAttribute("aria-label", `Choice for ${entry.text}`);
+        select.appendChild(new Option("Skip", ""));
+        entry.choices.forEach((choice, choiceIndex) =>
+          select.appendChild(
+            new Option(
+              `${choice.courseCode} Section ${choice.section}`,
+              String(choiceIndex)
+            )
+          )
+        );
+        select.addEventListener("change", () => {
+          const choice = entry.choices[select.value];
+          entry.exams = choice
+            ? data.findExams(choice.courseCode, choice.section)
+            : [];
+          updateAddButton(entries);
+        });
+        item.appendChild(select);
+      }
+
+      preview.appendChild(item);
+    });
+  });
+
+  updateAddButton(entries);
+}
+
+/**
+ * Update the "Add" button with the number of courses it will add
+ * @param {Array} entries - Resolved entries
+ */
+function updateAddButton(entries) {
+  const addBtn = document.getElementById("paste-list-add-btn");
+  const count = entries.filter((entry) => entry.exams.length > 0).length;
+  addBtn.textContent = `Add ${count} course${count === 1 ? "" : "s"}`;
+  addBtn.classList.toggle("hidden", count === 0);
+  addBtn.onclick = () => addEntries(entries);
+}
+
+/**
+ * Parse the pasted text and show the preview
+ * @return {Array} - The resolved entries
+ */
+function previewPastedList() {
+  const text = document.getElementById("paste-list-input").value;
+  const entries = parseCourseList(text).map(resolveEntry);
+  renderPreview(entries);
+  return entries;
+}
+
+/**
+ * Add the matched and chosen entries to the routine
+ * @param {Array} entries - Resolved entries
+ */
+function addEntries(entries) {
+  const exams = entries.flatMap((entry) => entry.exams);
+  if (exams.length === 0) return;
+
+  ui.addExamsToSchedule(exams);
+  const count = entries.filter((entry) => entry.exams.length > 0).length;
+  ui.showToast(
+    `Added ${count} course${count === 1 ? "" : "s"} to exam schedule`,
+    "success"
+  );
+  closePasteList();
+}
+
+/**
+ * Show or hide the paste list panel
+ */
+function togglePasteList() {
+  const panel = document.getElementById("paste-list");
+  panel.classList.toggle("hidden");
+  if (!panel.classList.contains("hidden")) {
+    document.getElementById("paste-list-input").focus();
+  }
+}
+
+/**
+ * Hide the paste list panel and clear it
+ */
+function closePasteList() {
+  document.getElementById("paste-list").classList.add("hidden");
+  document.getElementById("paste-list-input").value = "";
+  document.getElementById("paste-list-preview").innerHTML = "";
+  document.getElementById("paste-list-add-btn").classList.add("hidden");
+}
+
+// Export paste list functions
+window.pasteList = {
+  parseCourseList,
+  resolveEntry,
+  previewPastedList,
+  togglePasteList,
+  closePasteList,
+};
@@ -106,6 +106,29 @@ function tryPdfUrls(urls, index = 0) {
     });
 }
 
+/**
+ * Group exams by the PDF they were extracted from. Exams of a combined
+ * dataset (e.g. midterms and finals) come from different PDFs.
+ * @param {Array} exams - The exams to group
+ * @returns {Array} - Array of { source, exams } in first-seen order
+ */
+function groupExamsBySource(exams) {
+  const fallback = sources.getSourceParts(sources.getActiveSource())[0];
+  const groups = [];
+
+  exams.forEach((exam) => {
+    const source = sources.getSource(exam.sourceId) || fallback;
+    let group = groups.find((candidate) => candidate.source === source);
+    if (!group) {
+      group = { source: source, exams: [] };
+      groups.push(group);
+    }
+    group.exams.push(exam);
+  });
+
+  return groups;
+}
+
 /**
  * Enhanced function for opening a cross-check modal with improved PDF loading
  * @param {Array} exams - The exams to display PDF pages for
@@ -125,55 +148,117 @@ function enhancedCrossCheck(exams) {
   // Show the modal
   modal.classList.remove("hidden");
 
+  const groups = groupExamsBySource(exams);
+
+  groups.forEach((group) => {
+    const groupContainer = document.createElement("div");
+    pdfContainer.appendChild(groupContainer);
+
+    // Label each PDF when more than one is shown
+    if (groups.length > 1) {
+      const heading = document.createElement("div");
+      heading.className = "text-lg font-bold text-white text-center mt-2 mb-2";
+      heading.textContent = group.source.label;
+      groupContainer.appendChild(heading);
+    }
+
+    // Imported datasets have no PDF to check against
+    if (!group.source.pdfUrl && !group.source.pdfData) {
+      const noPdf = document.createElement("div");
+      noPdf.className = "text-center py-4 text-gray-300";
+      noPdf.innerHTML = '<i class="fas fa-info-circle mr-2"></i>';
+      // The label can contain a file name, so it is added as text
+      noPdf.append(`There is no PDF for ${group.source.label}.`);
+      groupContainer.appendChild(noPdf);
+      return;
+    }
+
+    renderSourcePdf(group, groupContainer);
+  });
+}
+
+/**
+ * Load the PDF of one dataset and highlight its exams on it. When the PDF
+ * cannot be loaded, only this PDF is offered a retry.
+ * @param {Object} group - A group from groupExamsBySource() that has a PDF
+ * @param {HTMLElement} container - The container of the group
+ */
+function renderSourcePdf(group, container) {
   // Create a loading indicator
   const loadingElement = document.createElement("div");
   loadingElement.className = "text-white text-center py-4";
   loadingElement.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>';
-  pdfContainer.appendChild(loadingElement);
-
-  // Try loading and rendering the PDF
-  const possiblePdfUrls = [
-    "https://sabbirba10.pythonanywhere.com/exam.pdf", // Remote PDF URL
-  ];
-  console.log("Attempting to load PDF from URLs:", possiblePdfUrls);
-  console.log(
-    "Exam data for PDF rendering:",
-    JSON.stringify(exams.slice(0, 1))
-  );
+  container.appendChild(loadingElement);
+
+  // A PDF loaded from the user's device is rendered from its bytes
+  if (group.source.pdfData) {
+    renderPdfWithExams(
+      group.source.pdfData,
+      group.exams,
+      container,
+      loadingElement
+    );
+    return;
+  }
 
-  tryPdfUrls(possiblePdfUrls)
+  tryPdfUrls([group.source.pdfUrl])
     .then((pdfDataUrl) => {
-      console.log("PDF loaded successfully as data URL");
-      // Now we have a data URL, we can render the PDF
-      renderPdfWithExams(pdfDataUrl, exams, pdfContainer, loadingElement);
+      renderPdfWithExams(pdfDataUrl, group.exams, container, loadingElement);
     })
     .catch((error) => {
       console.error("Error loading PDF:", error);
-      pdfContainer.removeChild(loadingElement);
-      pdfContainer.innerHTML = `
-        <div class="text-center py-4 text-red-500">
+      container.removeChild(loadingElement);
+      const message = document.createElement("div");
+      message.className = "text-center py-4 text-red-500";
+      message.innerHTML = `
           <i class="fas fa-exclamation-circle mr-2"></i>
           Could not load PDF file.<br>
           <small class="block mt-2">Please check that the PDF file is accessible.</small>
-          <button id="retry-pdf-btn" class="mt-4 px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600">
+          <button class="retry-pdf-btn mt-4 px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600">
             Retry Loading PDF
           </button>
-        </div>
       `;
-      document.getElementById("retry-pdf-btn").addEventListener("click", () => {
-        enhancedCrossCheck(exams);
+      container.appendChild(message);
+      message.querySelector(".retry-pdf-btn").addEventListener("click", () => {
+        container.removeChild(message);
+        renderSourcePdf(group, container);
       });
     });
 }
 
+/**
+ * Split an exam whose rooms are listed on different PDF pages into one entry
+ * per page, each with the rooms found on that page
+ * @param {Object} exam - The exam
+ * @returns {Array} - The per-page exams (just the exam if it has a single page)
+ */
+function splitExamByPage(exam) {
+  const rooms = exam.rooms || [];
+  const pages = Array.from(new Set(rooms.map((room) => room.pageNumber)));
+  if (pages.length < 2) return [exam];
+
+  return pages.map((pageNumber) => {
+    const pageRooms = rooms.filter((room) => room.pageNumber === pageNumber);
+    return {
+      ...exam,
+      rooms: pageRooms,
+      classroom: data.formatRooms(pageRooms),
+      pageNumber: pageNumber,
+      boundingBox: pageRooms[0].boundingBox,
+    };
+  });
+}
+
 /**
  * Renders a PDF with exam information
- * @param {string} pdfDataUrl - The PDF data URL
+ * @param {string|ArrayBuffer} pdfDataUrl - The PDF data URL, or the bytes of a local PDF
  * @param {Array} exams - The exams to highlight
  * @param {HTMLElement} container - The container to render into
  * @param {HTMLElement} loadingElement - The loading indicator element
  */
 function renderPdfWithExams(pdfDataUrl, exams, container, loadingElement) {
+  // Split rooms may be listed on different pages
+  exams = exams.flatMap(splitExamByPage);
   console.log("Rendering PDF with exams:", exams.length);
 
   if (!pdfjsLib) {
@@ -197,8 +282,14 @@ function renderPdfWithExams(pdfDataUrl, exams, container, loadingElement) {
   container.appendChild(header);
 
   // Load the PDF document
+  // PDF.js takes ownership of the bytes it is given, so pass it a copy
+  const documentSource =
+    typeof pdfDataUrl === "string"
+      ? pdfDataUrl
+      : { data: new Uint8Array(pdfDataUrl.slice(0)) };
+
   pdfjsLib
-    .getDocument(pdfDataUrl)
+    .getDocument(documentSource)
     .promise.then((pdfDocument) => {
       console.log(`PDF loaded with ${pdfDocument.numPages} pages`);
 
@@ -385,9 +476,16 @@ function renderExamPage(pdfDocument, pageNum, exam, container) {
     };
 
     return page.render(renderContext).promise.then(() => {
-      // Highlight bounding box if provided (BEFORE cropping)
-      if (exam.boundingBox && typeof exam.boundingBox.x0 === "number") {
-        const { x0, y0, x1, y1 } = exam.boundingBox;
+      // Highlight the row of every room on this page (BEFORE cropping)
+      const roomBoxes = (exam.rooms || [])
+        .filter((room) => room.pageNumber === pageNum)
+        .map((room) => room.boundingBox);
+      const boundingBoxes = (
+        roomBoxes.length > 0 ? roomBoxes : [exam.boundingBox]
+      ).filter((box) => box && typeof box.x0 === "number");
+
+      boundingBoxes.forEach((boundingBox) => {
+        const { x0, y0, x1, y1 } = boundingBox;
         // PDF user-space height
         const pdfPageHeight = initialViewport.height;
         // Adjust if Python coordinates used top-left origin
@@ -423,7 +521,7 @@ function renderExamPage(pdfDocument, pageNum, exam, container) {
           bottom - top
         );
         context.restore();
-      } // After highlighting, apply different crop percentages for sides vs top/bottom
+      }); // After highlighting, apply different crop percentages for sides vs top/bottom
       const cropPercentSides = 0.09; // 9% crop on left and right sides
       const cropPercentTopBottom = 0.02; // 2% crop on top and bottom
       const cropX = viewport.width * cropPercentSides;
@@ -544,6 +642,7 @@ window.pdfHelper = {
   arrayBufferToBase64,
   fetchPdfAsDataUrl,
   tryPdfUrls,
+  groupExamsBySource,
   enhancedCrossCheck,
   renderPdfWithExams,
   renderExamPage,
@@ -102,7 +102,10 @@ function openCrossCheckModal(exams) {
  * @param {HTMLElement} loadingElement - The loading indicator element
  */
 function loadPdfForExams(exams, container, loadingElement) {
-  const possiblePdfUrls = ["https://sabbirba10.pythonanywhere.com/exam.pdf"];
+  const possiblePdfUrls = sources
+    .getSourceParts(sources.getActiveSource())
+    .map((part) => part.pdfUrl)
+    .filter(Boolean);
 
   console.log(
     "Attempting to load PDF from possible locations:",
@@ -0,0 +1,408 @@
+// persistence.js - Saves the routine profiles to localStorage as versioned,
+// structured entries and migrates routines saved by older versions
+
+const ROUTINE_STATE_KEY = "examRoutine";
+const ROUTINE_SCHEMA_VERSION = 4;
+// Keys older versions saved the table text under, newest first
+const LEGACY_ROUTINE_KEYS = ["routineTable", "examSchedule"];
+// Settings saved outside the routine before they moved into the profiles
+const LEGACY_SETTING_KEYS = {
+  conflictsInScreenshot: "conflictsInScreenshot",
+  sort: "routineSort",
+  grouping: "routineGroup",
+  examTypeFilter: "examTypeFilter",
+  view: "routineView",
+};
+const DEFAULT_PROFILE_NAME = "My routine";
+
+// The routine as last changed, read from storage once. Changes go here first
+// so they last for the visit even when they cannot be saved.
+let routineState = null;
+// Whether the user was told that the routine could not be saved
+let saveFailureShown = false;
+
+/**
+ * Migrations from each schema version to the next. Version 0 is the table
+ * text of the legacy keys: rows of [date, time, course, section, room,
+ * exam type, note] cells.
+ */
+const ROUTINE_MIGRATIONS = {
+  0: (state) => ({
+    version: 1,
+    entries: state.rows
+      .filter((cells) => Array.isArray(cells) && cells[2] && cells[3])
+      .map((cells) => ({
+        ...serializeExam(
+          data.createExamFromDisplay(cells.slice(0, 6).map(String))
+        ),
+        note: String(cells[6] || ""),
+      })),
+  }),
+  // One routine becomes the first profile, taking the screenshot settings
+  1: (state) => ({
+    version: 2,
+    activeProfileId: "profile-1",
+    profiles: [
+      {
+        id: "profile-1",
+        name: DEFAULT_PROFILE_NAME,
+        entries: state.entries,
+        settings: readLegacySettings(),
+      },
+    ],
+  }),
+  // The Mid/Final tab stayed global in version 2; every profile takes it
+  2: (state) => ({
+    ...state,
+    version: 3,
+    profiles: addLegacySetting(state.profiles, "examTypeFilter"),
+  }),
+  // So did the routine view in version 3
+  3: (state) => ({
+    ...state,
+    version: 4,
+    profiles: addLegacySetting(state.profiles, "view"),
+  }),
+};
+
+/**
+ * Give every profile that has not set it a setting saved outside the routine
+ * @param {Array} profiles - The saved profiles
+ * @param {string} name - The setting, a key of LEGACY_SETTING_KEYS
+ * @return {Array} - The profiles
+ */
+function addLegacySetting(profiles, name) {
+  const value = readLegacySettings()[name];
+  return profiles.map((profile) =>
+    value === undefined || (profile.settings || {})[name] !== undefined
+      ? profile
+      : { ...profile, settings: { ...profile.settings, [name]: value } }
+  );
+}
+
+/**
+ * Read the settings saved outside the routine by older versions
+ * @return {Object} - { conflictsInScreenshot, sort, grouping, examTypeFilter,
+ *   view }, where saved
+ */
+function readLegacySettings() {
+  const settings = {};
+  Object.entries(LEGACY_SETTING_KEYS).forEach(([name, key]) => {
+    let value = null;
+    try {
+      value = localStorage.getItem(key);
+    } catch (error) {
+      console.error("Error reading a saved setting:", error);
+    }
+    if (value === null) return;
+    try {
+      settings[name] = JSON.parse(value);
+    } catch (error) {
+      settings[name] = value;
+    }
+  });
+  return settings;
+}
+
+/**
+ * Describe an exam by what identifies it in the exam data. The sitting the
+ * user saved is kept so upstream changes to it can be pointed out.
+ * @param {Object} exam - The exam
+ * @return {Object} - { courseCode, section, examType, sourceId, start, end, classroom }
+ *   with ISO start and end; date and time text are kept when they cannot be parsed
+ */
+function serializeExam(exam) {
+  const saved = {
+    courseCode: exam.courseCode,
+    section: exam.section,
+    examType: exam.examType || null,
+    sourceId: exam.sourceId || null,
+    start: exam.startISO || null,
+    end: exam.endISO || null,
+    classroom: exam.classroom || "",
+  };
+  if (!exam.start) {
+    saved.date = exam.date || "";
+    saved.time = exam.time || "";
+  }
+  return saved;
+}
+
+/**
+ * Serialize routine entries for saving
+ * @param {Array} entries - Routine entries ({ exam, note })
+ * @return {Array} - Saved entries, see serializeExam(), each with a note
+ */
+function serializeEntries(entries) {
+  return entries.map((entry) => ({
+    ...serializeExam(entry.exam),
+    note: entry.note || "",
+  }));
+}
+
+/**
+ * Read the saved routine in whatever version it was written
+ * @return {Object} - { version, ... }; version 0 holds legacy { rows }
+ */
+function readRoutineState() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(ROUTINE_STATE_KEY));
+    if (saved && typeof saved.version === "number") return saved;
+
+    for (const key of LEGACY_ROUTINE_KEYS) {
+      const rows = JSON.parse(localStorage.getItem(key));
+      if (Array.isArray(rows) && rows.length > 0) return { version: 0, rows };
+    }
+  } catch (error) {
+    console.error("Error reading the saved routine:", error);
+  }
+  return { version: 1, entries: [] };
+}
+
+/**
+ * Bring a saved routine up to the current schema version
+ * @param {Object} state - State from readRoutineState()
+ * @return {Object} - State in the current version
+ */
+function migrateRoutineState(state) {
+  let migrated = state;
+  while (migrated.version < ROUTINE_SCHEMA_VERSION) {
+    migrated = ROUTINE_MIGRATIONS[migrated.version](migrated);
+  }
+  return migrated;
+}
+
+/**
+ * Write the routine in the current schema version. When storage is full or
+ * blocked the routine stays usable for this visit, and the user is told once.
+ * @param {Object} state - { activeProfileId, profiles }
+ * @return {boolean} - Whether it was saved
+ */
+function writeRoutineState(state) {
+  try {
+    localStorage.setItem(
+      ROUTINE_STATE_KEY,
+      JSON.stringify({ ...state, version: ROUTINE_SCHEMA_VERSION })
+    );
+    return true;
+  } catch (error) {
+    console.warn("Could not save the routine:", error);
+    if (!saveFailureShown) {
+      saveFailureShown = true;
+      ui.showToast(
+        "Your routine could not be saved in this browser. Changes will be lost when you leave the page.",
+        "error"
+      );
+    }
+    return false;
+  }
+}
+
+/**
+ * Read the saved state, migrating an older save first
+ * @return {Object} - { version, activeProfileId, profiles } with at least one profile
+ */
+function loadRoutineState() {
+  const state = readRoutineState();
+  if (state.version > ROUTINE_SCHEMA_VERSION) {
+    console.warn(
+      `The saved routine is from a newer version (${state.version}); reading what is understood`
+    );
+    if (Array.isArray(state.profiles) && state.profiles.length > 0) {
+      return state;
+    }
+    return migrateRoutineState({ version: 1, entries: [] });
+  }
+
+  const migrated = migrateRoutineState(state);
+  // The old keys are only dropped once the migrated copy is saved
+  if (state.version < ROUTINE_SCHEMA_VERSION && writeRoutineState(migrated)) {
+    LEGACY_ROUTINE_KEYS.forEach((key) => localStorage.removeItem(key));
+    Object.values(LEGACY_SETTING_KEYS).forEach((key) =>
+      localStorage.removeItem(key)
+    );
+  }
+  return migrated;
+}
+
+/**
+ * Get the routine state of this visit. Callers change it in place and then
+ * write it with writeRoutineState().
+ * @return {Object} - See loadRoutineState()
+ */
+function getRoutineState() {
+  if (!routineState) routineState = loadRoutineState();
+  return routineState;
+}
+
+/**
+ * Get the profile that is open
+ * @param {Object} state - State from getRoutineState()
+ * @return {Object} - { id, name, entries, settings }
+ */
+function getActiveProfile(state) {
+  return (
+    state.profiles.find((profile) => profile.id === state.activeProfileId) ||
+    state.profiles[0]
+  );
+}
+
+/**
+ * List the profiles
+ * @return {Array} - Array of { id, name, active }
+ */
+function getProfiles() {
+  const state = getRoutineState();
+  const active = getActiveProfile(state);
+  return state.profiles.map((profile) => ({
+    id: profile.id,
+    name: profile.name,
+    active: profile === active,
+  }));
+}
+
+/**
+ * Open a profile
+ * @param {string} id - The profile id
+ * @return {boolean} - Whether the profile exists
+ */
+function setActiveProfile(id) {
+  const state = getRoutineState();
+  if (!state.profiles.some((profile) => profile.id === id)) return false;
+  state.activeProfileId = id;
+  writeRoutineState(state);
+  return true;
+}
+
+/**
+ * Add a profile without opening it
+ * @param {string} name - The profile name
+ * @param {Array} [entries] - Saved entries, see serializeExam()
+ * @param {Object} [settings] - Screenshot settings
+ * @return {string} - The new profile id
+ */
+function addProfile(name, entries = [], settings = {}) {
+  const state = getRoutineState();
+  const highest = Math.max(
+    0,
+    ...state.profiles.map(
+      (profile) => parseInt(profile.id.replace("profile-", ""), 10) || 0
+    )
+  );
+  const id = `profile-${highest + 1}`;
+  state.profiles.push({
+    id,
+    name: String(name || "").trim() || DEFAULT_PROFILE_NAME,
+    entries: JSON.parse(JSON.stringify(entries)),
+    settings: JSON.parse(JSON.stringify(settings)),
+  });
+  writeRoutineState(state);
+  return id;
+}
+
+/**
+ * Get a copy of a profile, e.g. to duplicate it
+ * @param {string} id - The profile id
+ * @return {Object|null} - { id, name, entries, settings }
+ */
+function getProfile(id) {
+  const profile = getRoutineState().profiles.find((other) => other.id === id);
+  return profile ? JSON.parse(JSON.stringify(profile)) : null;
+}
+
+/**
+ * Rename a profile
+ * @param {string} id - The profile id
+ * @param {string} name - The new name
+ */
+function renameProfile(id, name) {
+  const state = getRoutineState();
+  const profile = state.profiles.find((other) => other.id === id);
+  const trimmed = String(name || "").trim();
+  if (!profile || !trimmed) return;
+  profile.name = trimmed;
+  writeRoutineState(state);
+}
+
+/**
+ * Delete a profile. The last profile cannot be deleted.
+ * @param {string} id - The profile id
+ * @return {Object|null} - The deleted profile, or null if nothing was deleted
+ */
+function deleteProfile(id) {
+  const state = getRoutineState();
+  const profile = state.profiles.find((other) => other.id === id);
+  if (!profile || state.profiles.length === 1) return null;
+
+  const index = state.profiles.indexOf(profile);
+  state.profiles.splice(index, 1);
+  if (state.activeProfileId === id) {
+    state.activeProfileId = state.profiles[Math.max(0, index - 1)].id;
+  }
+  writeRoutineState(state);
+  return profile;
+}
+
+/**
+ * Read a setting of the open profile
+ * @param {string} name - e.g. "conflictsInScreenshot", "sort", "grouping",
+ *   "examTypeFilter" or "view"
+ * @return {*} - The value, undefined if not set
+ */
+function getProfileSetting(name) {
+  return (getActiveProfile(getRoutineState()).settings || {})[name];
+}
+
+/**
+ * Change a setting of the open profile
+ * @param {string} name - The setting
+ * @param {*} value - Any JSON value
+ */
+function setProfileSetting(name, value) {
+  const state = getRoutineState();
+  const profile = getActiveProfile(state);
+  profile.settings = { ...profile.settings, [name]: value };
+  writeRoutineState(state);
+}
+
+/**
+ * Save the routine entries of the open profile
+ * @param {Array} entries - Routine entries ({ exam, note })
+ */
+function saveRoutineEntries(entries) {
+  const state = getRoutineState();
+  getActiveProfile(state).entries = serializeEntries(entries);
+  writeRoutineState(state);
+}
+
+/**
+ * Load the saved routine entries of the open profile
+ * @return {Array} - Saved entries, see serializeExam(), each with a note
+ */
+function loadRoutineEntries() {
+  return getActiveProfile(getRoutineState()).entries || [];
+}
+
+/**
+ * Empty the routine of the open profile
+ */
+function clearRoutineEntries() {
+  saveRoutineEntries([]);
+}
+
+// Export persistence functions
+window.persistence = {
+  ROUTINE_SCHEMA_VERSION,
+  serializeEntries,
+  saveRoutineEntries,
+  loadRoutineEntries,
+  clearRoutineEntries,
+  getProfiles,
+  getProfile,
+  setActiveProfile,
+  addProfile,
+  renameProfile,
+  deleteProfile,
+  getProfileSetting,
+  setProfileSetting,
+};
@@ -0,0 +1,228 @@
+// portal-schedule.js - Reads course and section pairs from the portal's class schedule
+
+/**
+ * Check whether text is an HTML page rather than copied table text
+ * @param {string} text - The pasted text or file contents
+ * @return {boolean}
+ */
+function isHtml(text) {
+  return /<(table|tr|html|body)[\s>]/i.test(text);
+}
+
+/**
+ * Split the portal page into rows of cell texts
+ * @param {string} text - Copied table text or a saved HTML page
+ * @return {Array} - Array of rows, each an array of trimmed cell texts
+ */
+function getPortalRows(text) {
+  if (isHtml(text)) {
+    const doc = new DOMParser().parseFromString(text, "text/html");
+    const tableRows = Array.from(doc.querySelectorAll("tr"));
+    if (tableRows.length > 0) {
+      return tableRows.map((row) =>
+        Array.from(row.querySelectorAll("th, td")).map((cell) =>
+          cell.textContent.replace(/\s+/g, " ").trim()
+        )
+      );
+    }
+    text = doc.body ? doc.body.textContent : "";
+  }
+
+  // Copied tables are tab separated; some browsers use runs of spaces or pipes
+  return text
+    .split(/\r?\n/)
+    .map((line) =>
+      line
+        .split(/\t| {2,}|\|/)
+        .map((cell) => cell.trim())
+        .filter((cell, index, cells) => cell || index < cells.length - 1)
+    )
+    .filter((cells) => cells.some(Boolean));
+}
+
+/**
+ * Find the course and section columns from a header row
+ * @param {Array} rows - Rows from getPortalRows()
+ * @return {Object|null} - { headerIndex, courseColumn, sectionColumn } or null
+ */
+function findHeader(rows) {
+  for (let i = 0; i < rows.length; i++) {
+    const cells = rows[i];
+    const courseColumn = cells.findIndex(
+      (cell) => /course/i.test(cell) && !/title|name/i.test(cell)
+    );
+    const sectionColumn = cells.findIndex((cell) =>
+      /^sec(tion)?\.?( no\.?)?$/i.test(cell)
+    );
+    if (courseColumn !== -1 && sectionColumn !== -1) {
+      return { headerIndex: i, courseColumn, sectionColumn };
+    }
+  }
+  return null;
+}
+
+/**
+ * Read a row without known columns: one course per row, with its section
+ * somewhere after the code, e.g. "CSE110 - Programming Language I [Sec-05]",
+ * "MAT120(03)" or "PHY111 sec 12"
+ * @param {Array} cells - Cell texts of the row
+ * @return {Object|null} - { text, courseCode, section } or null
+ */
+function parseLooseRow(cells) {
+  const text = cells.join(" ");
+  const [course] = pasteList.parseCourseList(text);
+  if (!course) return null;
+  if (course.section) return { ...course, text };
+
+  // The section can also follow the course title
+  const rest = text.slice(text.indexOf(course.text) + course.text.length);
+  const section = rest.match(/sec(?:tion)?\W*(\d{1,2})\b/i);
+  if (!section) return null;
+
+  return { text, courseCode: course.courseCode, section: section[1] };
+}
+
+/**
+ * Extract the course and section pairs of a portal class schedule. Tables with
+ * a "Course" and a "Section" column are read by column; other layouts, such as
+ * "CSE110 - 05" in one cell, are read row by row.
+ * @param {string} text - Copied table text or a saved HTML page
+ * @return {Array} - Unique array of { text, courseCode, section }
+ */
+function parsePortalSchedule(text) {
+  const rows = getPortalRows(String(text || ""));
+  const header = findHeader(rows);
+  let entries = [];
+
+  if (header) {
+    rows.slice(header.headerIndex + 1).forEach((cells) => {
+      const [course] = pasteList.parseCourseList(
+        cells[header.courseColumn] || ""
+      );
+      const section = (cells[header.sectionColumn] || "").match(/\d{1,2}/);
+      if (course && section) {
+        entries.push({
+          text: cells.join(" "),
+          courseCode: course.courseCode,
+          section: section[0],
+        });
+      }
+    });
+  } else {
+    entries = rows.map(parseLooseRow).filter(Boolean);
+  }
+
+  // Lectures and labs of a course are listed on several rows
+  const seen = new Set();
+  return entries.filter((entry) => {
+    const key = `${data.normalizeCourseCode(
+      entry.courseCode
+    )}|${data.normalizeSection(entry.section)}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Add the exams of every course in a portal class schedule to the routine
+ * @param {string} text - Copied table text or a saved HTML page
+ * @return {Object} - { added, unmatched } arrays of entries
+ */
+function importPortalSchedule(text) {
+  const added = [];
+  const unmatched = [];
+
+  parsePortalSchedule(text).forEach((entry) => {
+    const exams = data.findExams(entry.courseCode, entry.section);
+    // Labs (e.g. CSE110L) are examined with their theory course
+    const isLabOfListedCourse =
+      /L$/.test(entry.courseCode) &&
+      data.findExams(entry.courseCode.slice(0, -1), entry.section).length > 0;
+
+    if (exams.length > 0) {
+      ui.addExamsToSchedule(exams);
+      added.push(entry);
+    } else if (!isLabOfListedCourse) {
+      unmatched.push(entry);
+    }
+  });
+
+  renderPortalReport(added, unmatched);
+  return { added, unmatched };
+}
+
+/**
+ * Report the result of a portal import in the paste list panel
+ * @param {Array} added - Entries whose exams were added
+ * @param {Array} unmatched - Entries without an exam
+ */
+function renderPortalReport(added, unmatched) {
+  const preview = document.getElementById("paste-list-preview");
+  if (preview) {
+    preview.innerHTML = "";
+    const summary = document.createElement("div");
+    summary.className = "font-bold mt-2";
+    summary.textContent =
+      added.length + unmatched.length === 0
+        ? "No courses found in the class schedule."
+        : `Added ${added.length} course${added.length === 1 ? "" : "s"}.`;
+    preview.appendChild(summary);
+
+    if (unmatched.length > 0) {
+      const heading = document.createElement("div");
+      heading.className = "font-bold mt-2";
+      heading.innerHTML = '<i class="fas fa-times text-red-400 mr-2"></i>';
+      heading.append(`No exam found (${unmatched.length})`);
+      preview.appendChild(heading);
+
+      unmatched.forEach((entry) => {
+        const item = document.createElement("div");
+        item.className = "ml-6";
+        item.textContent = `${entry.courseCode} Section ${entry.section}`;
+        preview.appendChild(item);
+      });
+    }
+  }
+
+  if (added.length > 0) {
+    ui.showToast(
+      `Added ${added.length} course${
+        added.length === 1 ? "" : "s"
+      } from your class schedule`,
+      "success"
+    );
+  }
+  if (unmatched.length > 0) {
+    ui.showToast(
+      `No exam found for ${unmatched
+        .map((entry) => `${entry.courseCode} Section ${entry.section}`)
+        .join(", ")}`,
+      "error"
+    );
+  }
+}
+
+/**
+ * Import a class schedule page saved from the portal
+ * @param {File} file - The saved .html file
+ * @return {Promise<Object>} - Resolves with the result of importPortalSchedule()
+ */
+function importPortalFile(file) {
+  if (!file) return Promise.resolve({ added: [], unmatched: [] });
+  return file
+    .text()
+    .then(importPortalSchedule)
+    .catch((error) => {
+      console.error("Error reading class schedule:", error);
+      ui.showToast(`Could not read ${file.name}`, "error");
+      return { added: [], unmatched: [] };
+    });
+}
+
+// Export portal schedule functions
+window.portalSchedule = {
+  parsePortalSchedule,
+  importPortalSchedule,
+  importPortalFile,
+};
@@ -0,0 +1,192 @@
+// profiles.js - Named routines, each with its own courses and screenshot settings
+
+// "new" or "rename" while the name form is open
+let profileNameMode = null;
+
+/**
+ * Get the id of the open profile
+ * @return {string}
+ */
+function getActiveProfileId() {
+  return persistence.getProfiles().find((profile) => profile.active).id;
+}
+
+/**
+ * Fill the profile menu
+ */
+function renderProfiles() {
+  const select = document.getElementById("profile-select");
+  if (!select) return;
+
+  const profileList = persistence.getProfiles();
+  select.innerHTML = "";
+  profileList.forEach((profile) => {
+    const option = document.createElement("option");
+    option.value = profile.id;
+    option.textContent = profile.name;
+    option.selected = profile.active;
+    select.appendChild(option);
+  });
+
+  const deleteBtn = document.getElementById("profile-delete-btn");
+  deleteBtn.disabled = profileList.length === 1;
+  deleteBtn.title =
+    profileList.length === 1
+      ? "The last profile cannot be deleted"
+      : "Delete this profile";
+}
+
+/**
+ * Open a profile and redraw the routine from it
+ * @param {string} id - The profile id
+ */
+function openProfile(id) {
+  if (!persistence.setActiveProfile(id)) return;
+  hideProfileNameForm();
+  routineChanges.clearRoutineChanges();
+  routine.loadRoutine();
+  // The Mid/Final tab and the view are chosen per profile
+  ui.renderExamTypeTabs(data.getLoadedExamTypes());
+  routineViews.setRoutineView(routineViews.getRoutineView());
+  // Exam data already loaded is not checked again by loadScheduleData
+  if (data.getLoadReport()) routineChanges.checkRoutine();
+  renderProfiles();
+}
+
+/**
+ * Ask for the name of a new profile or the new name of the open one
+ * @param {string} mode - "new" or "rename"
+ */
+function showProfileNameForm(mode) {
+  profileNameMode = mode;
+  const form = document.getElementById("profile-name-form");
+  const input = document.getElementById("profile-name-input");
+  const current = persistence.getProfiles().find((profile) => profile.active);
+  input.value = mode === "rename" ? current.name : "";
+  input.placeholder = mode === "rename" ? "New name" : "Name, e.g. Sister";
+  form.classList.remove("hidden");
+  input.focus();
+  input.select();
+}
+
+/**
+ * Close the name form without saving
+ */
+function hideProfileNameForm() {
+  profileNameMode = null;
+  const form = document.getElementById("profile-name-form");
+  if (form) form.classList.add("hidden");
+}
+
+/**
+ * Create or rename a profile with the name in the form
+ */
+function submitProfileName() {
+  const name = document.getElementById("profile-name-input").value.trim();
+  if (!name) {
+    ui.showToast("Please enter a profile name", "error");
+    return;
+  }
+
+  if (profileNameMode === "rename") {
+    persistence.renameProfile(getActiveProfileId(), name);
+    hideProfileNameForm();
+    renderProfiles();
+    document.getElementById("profile-select").focus();
+    return;
+  }
+
+  openProfile(persistence.addProfile(name));
+  ui.showToast(`Created profile "${name}"`, "success");
+  document.getElementById("profile-select").focus();
+}
+
+/**
+ * Copy the open profile, with its courses and settings, and open the copy
+ */
+function duplicateActiveProfile() {
+  const profile = persistence.getProfile(getActiveProfileId());
+  const name = `${profile.name} (copy)`;
+  openProfile(persistence.addProfile(name, profile.entries, profile.settings));
+  ui.showToast(`Created profile "${name}"`, "success");
+}
+
+/**
+ * Delete the open profile and open its neighbour. The deletion can be
+ * undone from the toast.
+ */
+function deleteActiveProfile() {
+  const deleted = persistence.deleteProfile(getActiveProfileId());
+  if (!deleted) {
+    ui.showToast("The last profile cannot be deleted", "info");
+    return;
+  }
+
+  openProfile(getActiveProfileId());
+  ui.showToast(`Deleted profile "${deleted.name}"`, "info", {
+    duration: 8000,
+    actions: [
+      {
+        label: "Undo",
+        onClick: () =>
+          openProfile(
+            persistence.addProfile(
+              deleted.name,
+              deleted.entries,
+              deleted.settings
+            )
+          ),
+      },
+    ],
+  });
+}
+
+/**
+ * Wire the profile menu. Safe to call more than once.
+ */
+function initializeProfiles() {
+  const select = document.getElementById("profile-select");
+  if (!select) return;
+  renderProfiles();
+  if (select.dataset.wired) return;
+  select.dataset.wired = "true";
+
+  select.addEventListener("change", () => openProfile(select.value));
+  document
+    .getElementById("profile-new-btn")
+    .addEventListener("click", () => showProfileNameForm("new"));
+  document
+    .getElementById("profile-rename-btn")
+    .addEventListener("click", () => showProfileNameForm("rename"));
+  document
+    .getElementById("profile-duplicate-btn")
+    .addEventListener("click", duplicateActiveProfile);
+  document
+    .getElementById("profile-delete-btn")
+    .addEventListener("click", deleteActiveProfile);
+
+  const form = document.getElementById("profile-name-form");
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    submitProfileName();
+  });
+  form.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") {
+      hideProfileNameForm();
+      select.focus();
+    }
+  });
+  document
+    .getElementById("profile-name-cancel")
+    .addEventListener("click", () => {
+      hideProfileNameForm();
+      select.focus();
+    });
+}
+
+// Export profile functions
+window.profiles = {
+  renderProfiles,
+  openProfile,
+  initializeProfiles,
+};
@@ -0,0 +1,156 @@
+// qr-code.js - QR code of the routine link, drawn in the browser with the
+// qrcode-generator library, for the page and the screenshot
+
+// Light modules around the code, as the QR spec asks for
+const QR_QUIET_ZONE = 4;
+// Pixels per module on the page and in the downloaded image
+const QR_MODULE_PX = 6;
+
+/**
+ * Draw a QR code
+ * @param {string} text - The text to encode
+ * @param {number} [modulePx] - Pixels per module
+ * @return {HTMLCanvasElement|null} - null when the library is missing or the
+ *   text is too long for a QR code
+ */
+function createQrCanvas(text, modulePx = QR_MODULE_PX) {
+  if (typeof qrcode !== "function") {
+    console.error("qrcode-generator library not loaded");
+    return null;
+  }
+
+  let qr;
+  try {
+    // Type 0 picks the smallest version the text fits in
+    qr = qrcode(0, "M");
+    qr.addData(text);
+    qr.make();
+  } catch (error) {
+    console.error("Error making the QR code:", error);
+    return null;
+  }
+
+  const modules = qr.getModuleCount();
+  const size = (modules + QR_QUIET_ZONE * 2) * modulePx;
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext("2d");
+  context.fillStyle = "#ffffff";
+  context.fillRect(0, 0, size, size);
+  context.fillStyle = "#000000";
+  for (let row = 0; row < modules; row++) {
+    for (let col = 0; col < modules; col++) {
+      if (qr.isDark(row, col)) {
+        context.fillRect(
+          (col + QR_QUIET_ZONE) * modulePx,
+          (row + QR_QUIET_ZONE) * modulePx,
+          modulePx,
+          modulePx
+        );
+      }
+    }
+  }
+  return canvas;
+}
+
+/**
+ * Get the QR code of the routine link
+ * @param {number} [modulePx] - Pixels per module
+ * @param {Array} [exams] - The exams to link to, by default those shown under
+ *   the Mid/Final tab
+ * @return {HTMLCanvasElement|null} - null when there is nothing to share or
+ *   no code can be drawn
+ */
+function createRoutineQr(modulePx, exams = ui.getVisibleScheduleExams()) {
+  if (exams.length === 0) return null;
+  const url = share.getShareUrl(exams);
+  return url ? createQrCanvas(url, modulePx) : null;
+}
+
+/**
+ * Check whether the QR code is stamped on screenshots
+ * @return {boolean}
+ */
+function showQrInScreenshot() {
+  return persistence.getProfileSetting("qrInScreenshot") === true;
+}
+
+/**
+ * Stamp the QR code on screenshots or not
+ * @param {boolean} show - Whether to stamp it
+ */
+function setQrInScreenshot(show) {
+  persistence.setProfileSetting("qrInScreenshot", Boolean(show));
+}
+
+/**
+ * Redraw the QR code panel, if it is open, for the routine shown
+ */
+function renderShareQr() {
+  const panel = document.getElementById("share-qr");
+  if (!panel || panel.classList.contains("hidden")) return;
+
+  const holder = panel.querySelector(".share-qr-code");
+  const text = panel.querySelector(".share-qr-text");
+  holder.innerHTML = "";
+  panel.querySelector("#qr-in-screenshot").checked = showQrInScreenshot();
+
+  const exams = ui.getVisibleScheduleExams();
+  const canvas = createRoutineQr(QR_MODULE_PX, exams);
+  document.getElementById("share-qr-download-btn").disabled = !canvas;
+  if (canvas) {
+    canvas.setAttribute("role", "img");
+    canvas.setAttribute("aria-label", "QR code of the link to this routine");
+    holder.appendChild(canvas);
+    text.textContent = "Scan to open this routine on another phone.";
+  } else if (exams.length === 0) {
+    text.textContent = "Add courses to get a QR code of your routine.";
+  } else if (!share.getShareUrl(exams)) {
+    text.textContent =
+      "Routines from local or imported files cannot be shared as a QR code.";
+  } else {
+    text.textContent = "The QR code could not be made. Please try again.";
+  }
+}
+
+/**
+ * Open or close the QR code panel
+ */
+function toggleShareQr() {
+  const panel = document.getElementById("share-qr");
+  const button = document.getElementById("share-qr-btn");
+  const open = panel.classList.toggle("hidden") === false;
+  button.setAttribute("aria-expanded", String(open));
+  renderShareQr();
+}
+
+/**
+ * Download the QR code of the routine link as a PNG
+ */
+function downloadShareQr() {
+  const canvas = createRoutineQr();
+  if (!canvas) {
+    ui.showToast("No QR code to download", "error");
+    return;
+  }
+
+  const link = document.createElement("a");
+  link.download = "bracuexam-qr.png";
+  link.href = canvas.toDataURL("image/png");
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  ui.showToast("QR code saved!", "success");
+}
+
+// Export QR code functions
+window.qrCode = {
+  createQrCanvas,
+  createRoutineQr,
+  showQrInScreenshot,
+  setQrInScreenshot,
+  renderShareQr,
+  toggleShareQr,
+  downloadShareQr,
+};
@@ -0,0 +1,210 @@
+// routine-changes.js - Detects upstream changes to the exams saved in the routine
+
+// Exam fields that can change upstream, with the table cell that shows them
+const TRACKED_FIELDS = [
+  { index: 0, field: "date", label: "Date" },
+  { index: 1, field: "time", label: "Time" },
+  { index: 4, field: "classroom", label: "Room" },
+];
+
+/**
+ * Find the loaded exam a saved routine row refers to. A section can sit an
+ * exam more than once, so the sitting at the saved date and time wins, and
+ * one from the saved dataset before others.
+ * @param {Object} saved - The exam of the routine row
+ * @return {Object|null} - The latest exam, or null if it is no longer listed
+ */
+function findLatestExam(saved) {
+  const candidates = data.findExams(
+    saved.courseCode,
+    saved.section,
+    saved.examType
+  );
+  const sameSitting = candidates.filter(
+    (exam) => exam.date === saved.date && exam.time === saved.time
+  );
+  return (
+    sameSitting.find((exam) => exam.sourceId === saved.sourceId) ||
+    sameSitting[0] ||
+    candidates.find((exam) => exam.sourceId === saved.sourceId) ||
+    candidates[0] ||
+    null
+  );
+}
+
+// Results of the last check, redrawn whenever the table is
+let lastChangeResults = [];
+
+/**
+ * Compare the exam of every routine entry with the freshly loaded exam data
+ * @return {Array} - One entry per routine entry: { entryId, saved, exam, changes, missing }
+ */
+function compareRoutine() {
+  return routine.getEntries().map((entry) => {
+    const saved = entry.exam;
+    const exam = findLatestExam(saved);
+
+    if (!exam) {
+      return {
+        entryId: entry.id,
+        saved,
+        exam: null,
+        changes: [],
+        missing: true,
+      };
+    }
+
+    const changes = TRACKED_FIELDS.filter(
+      (tracked) => saved[tracked.field] !== exam[tracked.field]
+    ).map((tracked) => ({
+      ...tracked,
+      oldValue: saved[tracked.field],
+      newValue: exam[tracked.field],
+    }));
+
+    return { entryId: entry.id, saved, exam, changes, missing: false };
+  });
+}
+
+/**
+ * Find the routine entries that changed or disappeared in the fresh exam data
+ * @return {Array} - One result per changed or missing entry
+ */
+function detectRoutineChanges() {
+  return compareRoutine().filter(
+    (result) => result.missing || result.changes.length > 0
+  );
+}
+
+/**
+ * Remove the diff badges and the banner from a previous check
+ */
+function clearRoutineChanges() {
+  lastChangeResults = [];
+  markRoutineChanges();
+}
+
+/**
+ * Show the results of a check
+ * @param {Array} results - Results of detectRoutineChanges()
+ */
+function showRoutineChanges(results) {
+  lastChangeResults = results;
+  markRoutineChanges();
+}
+
+/**
+ * Mark changed cells with an old -> new badge and show the summary banner.
+ * Entries that were removed or edited since the check are left out.
+ */
+function markRoutineChanges() {
+  document.querySelectorAll("#schedule-body .cell-changed").forEach((cell) => {
+    cell.classList.remove("cell-changed");
+    delete cell.dataset.latest;
+    cell.removeAttribute("title");
+  });
+  document.querySelectorAll("#schedule-body .row-missing").forEach((row) => {
+    row.classList.remove("row-missing");
+    row.removeAttribute("title");
+  });
+
+  const results = lastChangeResults.filter((result) => {
+    const entry = routine.getEntry(result.entryId);
+    return entry && entry.exam === result.saved;
+  });
+
+  const banner = document.getElementById("routine-changes");
+  if (results.length === 0) {
+    if (banner) banner.classList.add("hidden");
+    return;
+  }
+
+  results.forEach((result) => {
+    const row = document.querySelector(
+      `#schedule-body tr[data-entry-id="${result.entryId}"]`
+    );
+    if (!row) return;
+    if (result.missing) {
+      row.classList.add("row-missing");
+      row.title = "This exam is no longer in the latest data";
+      return;
+    }
+    result.changes.forEach((change) => {
+      const cell = row.cells[change.index];
+      // The badge is drawn by CSS so the cell text keeps the saved value
+      cell.classList.add("cell-changed");
+      cell.dataset.latest = change.newValue;
+      cell.title = `${change.label} changed: ${change.oldValue} → ${change.newValue}`;
+    });
+  });
+
+  if (!banner) return;
+
+  const changed = results.filter((result) => !result.missing).length;
+  const missing = results.length - changed;
+  const parts = [];
+  if (changed > 0) {
+    parts.push(
+      `${changed} exam${changed === 1 ? "" : "s"} in your routine changed`
+    );
+  }
+  if (missing > 0) {
+    parts.push(
+      `${missing} exam${missing === 1 ? " is" : "s are"} no longer listed`
+    );
+  }
+  banner.querySelector(".routine-changes-text").textContent =
+    parts.join(", ") + " since you saved it.";
+
+  const updateBtn = banner.querySelector("#update-routine-btn");
+  updateBtn.classList.toggle("hidden", changed === 0);
+  updateBtn.onclick = () => applyLatestChanges(results);
+
+  banner.classList.remove("hidden");
+}
+
+/**
+ * Replace the saved values of changed rows with the latest data
+ * @param {Array} results - Results of detectRoutineChanges()
+ */
+function applyLatestChanges(results) {
+  routine.replaceExams(
+    results
+      .filter((result) => !result.missing)
+      .map((result) => ({ id: result.entryId, exam: result.exam }))
+  );
+  showRoutineChanges(detectRoutineChanges());
+  ui.showToast("Routine updated to the latest data", "success");
+}
+
+/**
+ * Run the check and show its results
+ * @return {Array} - Results of detectRoutineChanges()
+ */
+function checkRoutine() {
+  const all = compareRoutine();
+
+  // Entries that still match take the fresh exams, which carry page numbers
+  routine.replaceExams(
+    all
+      .filter((result) => !result.missing && result.changes.length === 0)
+      .map((result) => ({ id: result.entryId, exam: result.exam }))
+  );
+
+  const results = all.filter(
+    (result) => result.missing || result.changes.length > 0
+  );
+  showRoutineChanges(results);
+  return results;
+}
+
+// Export routine change functions
+window.routineChanges = {
+  findLatestExam,
+  detectRoutineChanges,
+  showRoutineChanges,
+  clearRoutineChanges,
+  markRoutineChanges,
+  applyLatestChanges,
+  checkRoutine,
+};
@@ -0,0 +1,178 @@
+// routine-sort.js - Sort order and grouping of the routine table and
+// screenshot, saved with each profile
+
+const SORT_COLUMNS = ["date", "time", "course", "section", "room"];
+const ROUTINE_GROUPINGS = ["none", "date", "building"];
+
+/**
+ * Get the chosen sort order
+ * @return {Object} - { column, direction } where direction is "asc" or "desc"
+ */
+function getRoutineSort() {
+  const saved = persistence.getProfileSetting("sort");
+  if (saved && SORT_COLUMNS.includes(saved.column)) {
+    return {
+      column: saved.column,
+      direction: saved.direction === "desc" ? "desc" : "asc",
+    };
+  }
+  return { column: "date", direction: "asc" };
+}
+
+/**
+ * Sort by a column, or reverse the order when it is already sorted by it
+ * @param {string} column - "date", "time", "course", "section" or "room"
+ */
+function toggleRoutineSort(column) {
+  if (!SORT_COLUMNS.includes(column)) return;
+  const current = getRoutineSort();
+  const direction =
+    current.column === column && current.direction === "asc" ? "desc" : "asc";
+  persistence.setProfileSetting("sort", { column, direction });
+  ui.renderRoutine();
+}
+
+/**
+ * Get the chosen grouping
+ * @return {string} - "none", "date" or "building"
+ */
+function getRoutineGrouping() {
+  const grouping = persistence.getProfileSetting("grouping");
+  return ROUTINE_GROUPINGS.includes(grouping) ? grouping : "none";
+}
+
+/**
+ * Group the routine table
+ * @param {string} grouping - "none", "date" or "building"
+ */
+function setRoutineGrouping(grouping) {
+  if (!ROUTINE_GROUPINGS.includes(grouping)) grouping = "none";
+  persistence.setProfileSetting("grouping", grouping);
+  ui.renderRoutine();
+}
+
+/**
+ * Get the building of a room: its leading letters ("UB10101" -> "UB"), or
+ * the part before the dash ("09D-17L" -> "09D")
+ * @param {string} room - The classroom
+ * @return {string} - The building, empty when unknown
+ */
+function getBuilding(room) {
+  const text = String(room || "").trim();
+  const letters = text.match(/^[a-z]+/i);
+  if (letters) return letters[0].toUpperCase();
+  return text.split("-")[0].trim();
+}
+
+/**
+ * Get the value an exam is sorted by
+ * @param {Object} exam - The exam
+ * @param {string} column - The sort column
+ * @return {number|string|null} - null when unknown
+ */
+function getSortValue(exam, column) {
+  switch (column) {
+    case "date":
+      return exam.start ? exam.start.getTime() : null;
+    case "time":
+      return exam.start ? utils.getDhakaParts(exam.start).minutes : null;
+    case "course":
+      return data.normalizeCourseCode(exam.courseCode) || null;
+    case "section": {
+      const section = parseInt(exam.section, 10);
+      return isNaN(section) ? null : section;
+    }
+    case "room":
+      return exam.classroom || null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Compare two sort values; unknown values come last
+ * @param {number|string|null} a - First value
+ * @param {number|string|null} b - Second value
+ * @return {number}
+ */
+function compareSortValues(a, b) {
+  if (a === b) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  if (typeof a === "string") {
+    return a.localeCompare(b, undefined, { numeric: true });
+  }
+  return a < b ? -1 : 1;
+}
+
+/**
+ * Sort routine entries by the chosen column. Ties keep the exam order.
+ * @param {Array} entries - Routine entries in exam order
+ * @param {Object} [sort] - { column, direction }, defaults to the chosen one
+ * @return {Array} - A sorted copy
+ */
+function sortRoutineEntries(entries, sort = getRoutineSort()) {
+  const sign = sort.direction === "desc" ? -1 : 1;
+  return entries
+    .map((entry, index) => ({
+      entry,
+      index,
+      value: getSortValue(entry.exam, sort.column),
+    }))
+    .sort((a, b) => {
+      // Unknown values stay last in both directions
+      if (a.value === null || b.value === null) {
+        return compareSortValues(a.value, b.value) || a.index - b.index;
+      }
+      return sign * compareSortValues(a.value, b.value) || a.index - b.index;
+    })
+    .map((item) => item.entry);
+}
+
+/**
+ * Split sorted entries into groups. Groups are in date or building order;
+ * entries keep their order within a group.
+ * @param {Array} entries - Sorted routine entries
+ * @param {string} [grouping] - Defaults to the chosen grouping
+ * @return {Array} - Array of { title, entries }; one untitled group when not grouping
+ */
+function groupRoutineEntries(entries, grouping = getRoutineGrouping()) {
+  if (grouping === "none") return [{ title: "", entries }];
+
+  const groups = new Map();
+  entries.forEach((entry) => {
+    const exam = entry.exam;
+    let key;
+    let title;
+    if (grouping === "date") {
+      key = exam.start ? utils.getDhakaDayNumber(exam.start) : null;
+      title = exam.start
+        ? `${utils.getWeekdayName(exam.start)}, ${exam.date}`
+        : "Date unknown";
+    } else {
+      key = getBuilding(exam.classroom) || null;
+      title = key ? `Building ${key}` : "Room unknown";
+    }
+    if (!groups.has(key)) groups.set(key, { key, title, entries: [] });
+    groups.get(key).entries.push(entry);
+  });
+
+  return Array.from(groups.values())
+    .sort((a, b) => compareSortValues(a.key, b.key))
+    .map(({ title, entries: groupEntries }) => ({
+      title,
+      entries: groupEntries,
+    }));
+}
+
+// Export routine sort functions
+window.routineSort = {
+  SORT_COLUMNS,
+  getRoutineSort,
+  toggleRoutineSort,
+  getRoutineGrouping,
+  setRoutineGrouping,
+  getBuilding,
+  sortRoutineEntries,
+  groupRoutineEntries,
+};
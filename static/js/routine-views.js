@@ -0,0 +1,331 @@
+// routine-views.js - Month calendar and day-by-day timeline of the routine
+
+const ROUTINE_VIEWS = ["table", "calendar", "timeline"];
+const CALENDAR_WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the routine view of the open profile
+ * @return {string} - "table", "calendar" or "timeline"
+ */
+function getRoutineView() {
+  const view = persistence.getProfileSetting("view");
+  return ROUTINE_VIEWS.includes(view) ? view : "table";
+}
+
+/**
+ * Switch the routine view of the open profile
+ * @param {string} view - "table", "calendar" or "timeline"
+ */
+function setRoutineView(view) {
+  if (!ROUTINE_VIEWS.includes(view)) view = "table";
+  persistence.setProfileSetting("view", view);
+
+  const select = document.getElementById("view-select");
+  if (select) select.value = view;
+  document
+    .querySelector(".table-container")
+    .classList.toggle("hidden", view !== "table");
+  document
+    .getElementById("routine-calendar")
+    .classList.toggle("hidden", view !== "calendar");
+  document
+    .getElementById("routine-timeline")
+    .classList.toggle("hidden", view !== "timeline");
+
+  renderRoutineView();
+}
+
+/**
+ * Get a Date whose UTC fields are the calendar fields of a day number. Days
+ * are handled as utils.getDhakaDayNumber() numbers so the views do not
+ * depend on the device's time zone.
+ * @param {number} dayNumber - The day number
+ * @return {Date}
+ */
+function fromDayNumber(dayNumber) {
+  return new Date(dayNumber * ONE_DAY_MS);
+}
+
+/**
+ * Group the visible routine exams by day, in routine order
+ * @return {Object} - { days: Map of day number -> exams, undated: exams, first, last }
+ */
+function groupExamsByDay() {
+  const days = new Map();
+  const undated = [];
+
+  ui.getVisibleScheduleExams().forEach((exam) => {
+    if (!exam.start) {
+      undated.push(exam);
+      return;
+    }
+    const day = utils.getDhakaDayNumber(exam.start);
+    if (!days.has(day)) days.set(day, []);
+    days.get(day).push(exam);
+  });
+
+  const dayNumbers = Array.from(days.keys());
+  return {
+    days,
+    undated,
+    first: dayNumbers.length > 0 ? Math.min(...dayNumbers) : null,
+    last: dayNumbers.length > 0 ? Math.max(...dayNumbers) : null,
+  };
+}
+
+/**
+ * Create a button for an exam that opens the cross-check for it
+ * @param {Object} exam - The exam
+ * @param {string} text - Button text
+ * @return {HTMLButtonElement}
+ */
+function createExamButton(exam, text) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "view-exam";
+  button.textContent = text;
+  button.title = `Check ${exam.courseCode} Section ${exam.section} in the PDF`;
+  button.classList.toggle(
+    "is-past",
+    Boolean(exam.end && exam.end <= new Date())
+  );
+  button.addEventListener("click", () => app.handleCrossCheck([exam]));
+  return button;
+}
+
+/**
+ * List the exams without a readable date below a view
+ * @param {HTMLElement} container - The view container
+ * @param {Array} undated - Exams without a start
+ */
+function appendUndatedExams(container, undated) {
+  if (undated.length === 0) return;
+  const section = document.createElement("div");
+  section.className = "view-undated";
+  section.textContent = "Date unknown: ";
+  undated.forEach((exam) =>
+    section.appendChild(
+      createExamButton(exam, `${exam.courseCode} ${exam.date || ""}`.trim())
+    )
+  );
+  container.appendChild(section);
+}
+
+/**
+ * Draw one month grid per month that has an exam
+ */
+function renderCalendar() {
+  const container = document.getElementById("routine-calendar");
+  container.innerHTML = "";
+  const { days, undated, first, last } = groupExamsByDay();
+  const today = utils.getDhakaDayNumber(new Date());
+
+  if (first === null) {
+    if (undated.length === 0) container.textContent = "No exams to show.";
+    appendUndatedExams(container, undated);
+    return;
+  }
+
+  const lastDate = fromDayNumber(last);
+  for (
+    let month = new Date(
+      Date.UTC(
+        fromDayNumber(first).getUTCFullYear(),
+        fromDayNumber(first).getUTCMonth(),
+        1
+      )
+    );
+    month <= lastDate;
+    month = new Date(
+      Date.UTC(month.getUTCFullYear(), month.getUTCMonth() + 1, 1)
+    )
+  ) {
+    const grid = document.createElement("div");
+    grid.className = "calendar-month";
+
+    const title = document.createElement("div");
+    title.className = "calendar-title";
+    title.textContent = month.toLocaleDateString("en-GB", {
+      month: "long",
+      year: "numeric",
+      timeZone: "UTC",
+    });
+    grid.appendChild(title);
+
+    CALENDAR_WEEKDAYS.forEach((name) => {
+      const head = document.createElement("div");
+      head.className = "calendar-weekday";
+      head.textContent = name;
+      grid.appendChild(head);
+    });
+
+    // Blank cells before the 1st
+    for (let i = 0; i < month.getUTCDay(); i++) {
+      grid.appendChild(document.createElement("div"));
+    }
+
+    const firstOfMonth = month.getTime() / ONE_DAY_MS;
+    const daysInMonth = new Date(
+      Date.UTC(month.getUTCFullYear(), month.getUTCMonth() + 1, 0)
+    ).getUTCDate();
+    for (let dayOfMonth = 1; dayOfMonth <= daysInMonth; dayOfMonth++) {
+      const day = firstOfMonth + dayOfMonth - 1;
+      const exams = days.get(day) || [];
+      const cell = document.createElement("div");
+      cell.className = "calendar-day";
+      cell.classList.toggle("has-exam", exams.length > 0);
+      cell.classList.toggle(
+        "is-free",
+        exams.length === 0 && day > first && day < last
+      );
+      cell.classList.toggle("is-today", day === today);
+
+      const number = document.createElement("div");
+      number.className = "calendar-date";
+      number.textContent = dayOfMonth;
+      cell.appendChild(number);
+
+      exams.forEach((exam) =>
+        cell.appendChild(
+          createExamButton(
+            exam,
+            `${exam.courseCode} ${exam.time.split(" - ")[0]}`
+          )
+        )
+      );
+      grid.appendChild(cell);
+    }
+
+    container.appendChild(grid);
+  }
+
+  appendUndatedExams(container, undated);
+}
+
+/**
+ * Add an item to the timeline
+ * @param {HTMLElement} list - The timeline list
+ * @param {string} className - Item class
+ * @param {string} label - Day label
+ * @return {HTMLLIElement}
+ */
+function appendTimelineItem(list, className, label) {
+  const item = document.createElement("li");
+  item.className = `timeline-item ${className}`;
+  const heading = document.createElement("div");
+  heading.className = "timeline-label";
+  heading.textContent = label;
+  item.appendChild(heading);
+  list.appendChild(item);
+  return item;
+}
+
+/**
+ * Format a day for the timeline, e.g. "Sun, 20 Jul 2025"
+ * @param {number} day - The day number
+ * @return {string}
+ */
+function formatTimelineDay(day) {
+  return fromDayNumber(day).toLocaleDateString("en-GB", {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+/**
+ * Draw the exam days from the first to the last exam, folding the free days
+ * in between and marking today
+ */
+function renderTimeline() {
+  const container = document.getElementById("routine-timeline");
+  container.innerHTML = "";
+  const { days, undated, first, last } = groupExamsByDay();
+  const today = utils.getDhakaDayNumber(new Date());
+
+  if (first === null) {
+    if (undated.length === 0) container.textContent = "No exams to show.";
+    appendUndatedExams(container, undated);
+    return;
+  }
+
+  const list = document.createElement("ol");
+  list.className = "timeline";
+
+  if (today < first) {
+    const daysLeft = first - today;
+    appendTimelineItem(
+      list,
+      "timeline-today",
+      `Today - ${daysLeft} day${
+        daysLeft === 1 ? "" : "s"
+      } until your first exam`
+    );
+  }
+
+  let freeDays = 0;
+  const flushFreeDays = () => {
+    if (freeDays === 0) return;
+    appendTimelineItem(
+      list,
+      "timeline-free",
+      `${freeDays} free day${freeDays === 1 ? "" : "s"}`
+    );
+    freeDays = 0;
+  };
+
+  for (let day = first; day <= last; day++) {
+    const exams = days.get(day) || [];
+    const isToday = day === today;
+
+    if (exams.length === 0 && !isToday) {
+      freeDays++;
+      continue;
+    }
+
+    flushFreeDays();
+    const item = appendTimelineItem(
+      list,
+      isToday ? "timeline-day timeline-today" : "timeline-day",
+      `${formatTimelineDay(day)}${isToday ? " - Today" : ""}`
+    );
+    if (exams.length === 0) {
+      item.appendChild(document.createTextNode("Free day"));
+    }
+    exams.forEach((exam) =>
+      item.appendChild(
+        createExamButton(
+          exam,
+          `${exam.time} · ${exam.courseCode} Section ${exam.section} · ${exam.classroom}`
+        )
+      )
+    );
+  }
+  flushFreeDays();
+
+  if (today > last) {
+    appendTimelineItem(list, "timeline-today", "Today - all exams are over");
+  }
+
+  container.appendChild(list);
+  appendUndatedExams(container, undated);
+}
+
+/**
+ * Redraw the open calendar or timeline
+ */
+function renderRoutineView() {
+  const view = getRoutineView();
+  if (view === "calendar") renderCalendar();
+  if (view === "timeline") renderTimeline();
+}
+
+// Export routine view functions
+window.routineViews = {
+  getRoutineView,
+  setRoutineView,
+  renderRoutineView,
+};
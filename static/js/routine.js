@@ -0,0 +1,252 @@
+// routine.js - The exams in the user's routine, the single source for the
+// table, the screenshot and localStorage
+
+// Entries in table order: { id, exam, note }
+let routineEntries = [];
+let nextEntryNumber = 1;
+// True while a shared routine is shown instead of the user's; nothing is saved
+let routineReadOnly = false;
+
+/**
+ * Wrap an exam in a routine entry
+ * @param {Object} exam - The exam
+ * @param {string} [note] - The user's note
+ * @return {Object} - { id, exam, note }
+ */
+function createEntry(exam, note = "") {
+  return { id: `entry-${nextEntryNumber++}`, exam, note };
+}
+
+/**
+ * Get the routine entries in table order
+ * @return {Array} - Array of { id, exam, note }
+ */
+function getEntries() {
+  return routineEntries.slice();
+}
+
+/**
+ * Get a routine entry by its id
+ * @param {string} id - The entry id
+ * @return {Object|null}
+ */
+function getEntry(id) {
+  return routineEntries.find((entry) => entry.id === id) || null;
+}
+
+/**
+ * Check whether the routine shown is a read-only shared routine
+ * @return {boolean}
+ */
+function isReadOnly() {
+  return routineReadOnly;
+}
+
+/**
+ * Get the exams of the routine in table order
+ * @return {Array} - Array of exam objects
+ */
+function getExams() {
+  return routineEntries.map((entry) => entry.exam);
+}
+
+/**
+ * Check whether two exams are the same sitting. Other sittings of the same
+ * course and section are separate entries.
+ * @param {Object} a - First exam
+ * @param {Object} b - Second exam
+ * @return {boolean}
+ */
+function isSameSitting(a, b) {
+  return (
+    data.normalizeCourseCode(a.courseCode) ===
+      data.normalizeCourseCode(b.courseCode) &&
+    data.normalizeSection(a.section) === data.normalizeSection(b.section) &&
+    a.examType === b.examType &&
+    a.date === b.date &&
+    a.time === b.time
+  );
+}
+
+/**
+ * Sort the entries by exam start, entries without a known start last
+ */
+function sortEntries() {
+  const startOf = (entry) =>
+    entry.exam.start ? entry.exam.start.getTime() : Infinity;
+  routineEntries.sort((a, b) => {
+    const startA = startOf(a);
+    const startB = startOf(b);
+    if (startA === startB) return 0;
+    return startA < startB ? -1 : 1;
+  });
+}
+
+/**
+ * Save the entries and redraw the table after a change
+ */
+function commitRoutine() {
+  sortEntries();
+  if (!routineReadOnly) saveRoutine();
+  ui.renderRoutine();
+}
+
+/**
+ * Add exams to the routine, skipping sittings that are already in it
+ * @param {Array} exams - Array of exam objects
+ * @return {Array} - The new entries
+ */
+function addExams(exams) {
+  const added = [];
+  (exams || []).forEach((exam) => {
+    if (!routineEntries.some((entry) => isSameSitting(entry.exam, exam))) {
+      const entry = createEntry(exam);
+      routineEntries.push(entry);
+      added.push(entry);
+    }
+  });
+
+  if (added.length > 0) commitRoutine();
+  return added;
+}
+
+/**
+ * Remove an entry from the routine
+ * @param {string} id - The entry id
+ * @return {Object|null} - The removed entry
+ */
+function removeEntry(id) {
+  const entry = getEntry(id);
+  if (!entry) return null;
+
+  routineEntries = routineEntries.filter((other) => other !== entry);
+  commitRoutine();
+  return entry;
+}
+
+/**
+ * Replace the exams of several entries, e.g. with their latest data
+ * @param {Array} replacements - Array of { id, exam }
+ */
+function replaceExams(replacements) {
+  let changed = false;
+  replacements.forEach((replacement) => {
+    const entry = getEntry(replacement.id);
+    if (entry) {
+      entry.exam = replacement.exam;
+      changed = true;
+    }
+  });
+  if (changed) commitRoutine();
+}
+
+/**
+ * Move an entry to another section of the same course. The entry keeps its
+ * note; further sittings of the new section are added as new entries.
+ * @param {string} id - The entry id
+ * @param {string} section - The new section
+ * @return {boolean} - Whether the new section has an exam
+ */
+function swapSection(id, section) {
+  const entry = getEntry(id);
+  if (!entry) return false;
+
+  const exams = data.findExams(
+    entry.exam.courseCode,
+    section,
+    entry.exam.examType
+  );
+  if (exams.length === 0) return false;
+
+  const others = routineEntries.filter((other) => other !== entry);
+  const [first, ...rest] = exams;
+  if (others.some((other) => isSameSitting(other.exam, first))) {
+    // The new section is already in the routine
+    routineEntries = others;
+  } else {
+    entry.exam = first;
+  }
+  rest
+    .filter(
+      (exam) => !routineEntries.some((other) => isSameSitting(other.exam, exam))
+    )
+    .forEach((exam) => routineEntries.push(createEntry(exam)));
+
+  commitRoutine();
+  return true;
+}
+
+/**
+ * Set the personal note of an entry
+ * @param {string} id - The entry id
+ * @param {string} note - The note, empty to remove it
+ */
+function setNote(id, note) {
+  const entry = getEntry(id);
+  if (!entry) return;
+  entry.note = String(note || "").trim();
+  commitRoutine();
+}
+
+/**
+ * Remove every entry from the routine
+ */
+function clearRoutine() {
+  routineEntries = [];
+  persistence.clearRoutineEntries();
+  ui.renderRoutine();
+}
+
+/**
+ * Save the routine to localStorage
+ */
+function saveRoutine() {
+  persistence.saveRoutineEntries(routineEntries);
+}
+
+/**
+ * Load the routine saved in localStorage. Its exams are swapped for the
+ * current exam data by routineChanges.checkRoutine() once that is loaded.
+ */
+function loadRoutine() {
+  routineReadOnly = false;
+  routineEntries = persistence
+    .loadRoutineEntries()
+    .map((saved) => createEntry(data.createExamFromSaved(saved), saved.note));
+  sortEntries();
+  ui.renderRoutine();
+}
+
+/**
+ * Show the exams of a shared routine, read-only, instead of the user's.
+ * loadRoutine() brings the user's routine back.
+ * @param {Array} exams - Array of exam objects
+ */
+function showSharedExams(exams) {
+  routineReadOnly = true;
+  routineEntries = [];
+  exams.forEach((exam) => {
+    if (!routineEntries.some((entry) => isSameSitting(entry.exam, exam))) {
+      routineEntries.push(createEntry(exam));
+    }
+  });
+  sortEntries();
+  ui.renderRoutine();
+}
+
+// Export routine functions
+window.routine = {
+  getEntries,
+  getEntry,
+  getExams,
+  isReadOnly,
+  addExams,
+  removeEntry,
+  replaceExams,
+  swapSection,
+  setNote,
+  clearRoutine,
+  saveRoutine,
+  loadRoutine,
+  showSharedExams,
+};
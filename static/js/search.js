@@ -0,0 +1,218 @@
+// search.js - Ranked, typo-tolerant matching of course codes and titles
+
+// Score tiers, best first. Within a tier shorter codes rank higher.
+const MATCH_SCORES = {
+  exact: 500,
+  prefix: 400,
+  substring: 300,
+  title: 200,
+  typo: 100,
+};
+
+/**
+ * Strip everything but letters and digits, remembering where each kept
+ * character was in the original text
+ * @param {string} text - The text to compact
+ * @return {Object} - { value, positions } where value is upper-case
+ */
+function compact(text) {
+  let value = "";
+  const positions = [];
+  String(text || "")
+    .split("")
+    .forEach((char, index) => {
+      if (/[a-z0-9]/i.test(char)) {
+        value += char.toUpperCase();
+        positions.push(index);
+      }
+    });
+  return { value, positions };
+}
+
+/**
+ * Number of edits (insert, delete, substitute or swap two neighbours)
+ * between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @return {number} - The edit distance
+ */
+function editDistance(a, b) {
+  const d = [];
+  for (let i = 0; i <= a.length; i++) {
+    d[i] = [i];
+  }
+  for (let j = 0; j <= b.length; j++) {
+    d[0][j] = j;
+  }
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * How many typos a query of this length may contain
+ * @param {number} length - Length of the compacted query
+ * @return {number}
+ */
+function allowedTypos(length) {
+  if (length >= 7) return 2;
+  if (length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Match a query against one course
+ * @param {string} query - Compacted, upper-case query
+ * @param {string} courseCode - The course code as shown
+ * @param {string|null} title - The course title, if known
+ * @return {Object|null} - { score, codeMatches, titleMatches } or null if it does not match
+ */
+function matchCourse(query, courseCode, title) {
+  const code = compact(courseCode);
+  const range = (start, length, positions) =>
+    positions.slice(start, start + length);
+
+  if (code.value === query) {
+    return {
+      score: MATCH_SCORES.exact,
+      codeMatches: code.positions,
+      titleMatches: [],
+    };
+  }
+
+  if (code.value.startsWith(query)) {
+    return {
+      score: MATCH_SCORES.prefix - code.value.length,
+      codeMatches: range(0, query.length, code.positions),
+      titleMatches: [],
+    };
+  }
+
+  const substringAt = code.value.indexOf(query);
+  if (substringAt !== -1) {
+    return {
+      score: MATCH_SCORES.substring - substringAt,
+      codeMatches: range(substringAt, query.length, code.positions),
+      titleMatches: [],
+    };
+  }
+
+  if (title) {
+    const compactTitle = compact(title);
+    const titleAt = compactTitle.value.indexOf(query);
+    if (titleAt !== -1) {
+      return {
+        score: MATCH_SCORES.title - titleAt,
+        codeMatches: [],
+        titleMatches: range(titleAt, query.length, compactTitle.positions),
+      };
+    }
+  }
+
+  // Compare with the start of the code, allowing it to be a letter longer or
+  // shorter so a missing or extra character counts as one typo
+  const typos = allowedTypos(query.length);
+  if (typos === 0) return null;
+
+  let best = null;
+  for (let length = query.length - 1; length <= query.length + 1; length++) {
+    if (length < 1 || length > code.value.length) continue;
+    const distance = editDistance(query, code.value.slice(0, length));
+    if (distance <= typos && (!best || distance < best.distance)) {
+      best = { distance, length };
+    }
+  }
+  if (!best) return null;
+
+  return {
+    score: MATCH_SCORES.typo - best.distance * 10 - code.value.length,
+    codeMatches: code.positions
+      .slice(0, best.length)
+      .filter((position, index) => code.value[index] === query[index]),
+    titleMatches: [],
+  };
+}
+
+/**
+ * Rank courses for what the user typed. Prefix matches come before substring
+ * matches, then title matches, then matches with small typos. Spaces and
+ * dashes are ignored, so "mat 120" finds MAT120.
+ * @param {string} query - The text typed by the user
+ * @param {Array<string>} courseCodes - The course codes to search
+ * @param {Function} [getTitle] - Returns the title of a course code, or null
+ * @return {Array} - Array of { courseCode, title, score, codeMatches, titleMatches }, best first
+ */
+function rankCourses(query, courseCodes, getTitle) {
+  const compactQuery = compact(query).value;
+  const titleOf = getTitle || (() => null);
+
+  const results = courseCodes
+    .map((courseCode) => {
+      const title = titleOf(courseCode);
+      const match = compactQuery
+        ? matchCourse(compactQuery, courseCode, title)
+        : { score: 0, codeMatches: [], titleMatches: [] };
+      return match ? { courseCode, title, ...match } : null;
+    })
+    .filter(Boolean);
+
+  return results.sort(
+    (a, b) => b.score - a.score || a.courseCode.localeCompare(b.courseCode)
+  );
+}
+
+/**
+ * Build text with the matched characters wrapped in <mark>
+ * @param {string} text - The text to show
+ * @param {Array<number>} positions - Indexes of the matched characters
+ * @return {DocumentFragment} - The highlighted text, safe to append
+ */
+function highlightMatches(text, positions) {
+  const fragment = document.createDocumentFragment();
+  const matched = new Set(positions);
+  let run = "";
+  let runMatched = false;
+
+  const flush = () => {
+    if (!run) return;
+    if (runMatched) {
+      const mark = document.createElement("mark");
+      mark.textContent = run;
+      fragment.appendChild(mark);
+    } else {
+      fragment.appendChild(document.createTextNode(run));
+    }
+    run = "";
+  };
+
+  String(text)
+    .split("")
+    .forEach((char, index) => {
+      if (matched.has(index) !== runMatched) {
+        flush();
+        runMatched = matched.has(index);
+      }
+      run += char;
+    });
+  flush();
+
+  return fragment;
+}
+
+// Export search functions
+window.courseSearch = {
+  rankCourses,
+  highlightMatches,
+  editDistance,
+};
@@ -0,0 +1,272 @@
+// share.js - Links that carry a routine in the URL hash, opened read-only
+
+// e.g. "#share=latest/CSE110.01,MAT120.03.f": the dataset id, then each
+// course and section, with the exam type when the dataset has several
+const SHARE_HASH_PREFIX = "#share=";
+const SHARE_TYPE_CODES = { mid: "m", final: "f" };
+
+// The link being viewed: { sourceId, pairs: [{ courseCode, section, examType }] }
+let sharedLink = null;
+// Dataset the user had open before the link switched it, if it did
+let sourceBeforeShare = null;
+
+/**
+ * Encode one part of a course pair. "." separates the parts, so it is
+ * escaped too.
+ * @param {string} text - A course code or section
+ * @return {string}
+ */
+function encodeSharePart(text) {
+  return encodeURIComponent(text).replace(/\./g, "%2E");
+}
+
+/**
+ * Build the hash of a share link
+ * @param {string} sourceId - The dataset id
+ * @param {Array} exams - The exams of the routine
+ * @return {string} - e.g. "#share=latest/CSE110.01,MAT120.03"
+ */
+function buildShareHash(sourceId, exams) {
+  // A dataset with mids and finals needs the type even when the routine only
+  // holds one, or the link would bring back the other sittings too
+  const withType = data.getLoadedExamTypes().length > 1;
+  const pairs = [];
+  exams.forEach((exam) => {
+    const parts = [exam.courseCode, exam.section];
+    if (withType && SHARE_TYPE_CODES[exam.examType]) {
+      parts.push(SHARE_TYPE_CODES[exam.examType]);
+    }
+    const pair = parts.map(encodeSharePart).join(".");
+    // Every sitting of a section comes back from one pair
+    if (!pairs.includes(pair)) pairs.push(pair);
+  });
+  return `${SHARE_HASH_PREFIX}${encodeSharePart(sourceId)}/${pairs.join(",")}`;
+}
+
+/**
+ * Read a share link hash
+ * @param {string} hash - The URL hash
+ * @return {Object|null} - { sourceId, pairs } or null if it is not a share link
+ */
+function parseShareHash(hash) {
+  if (!hash || !hash.startsWith(SHARE_HASH_PREFIX)) return null;
+  const [sourcePart, pairsPart] = hash
+    .slice(SHARE_HASH_PREFIX.length)
+    .split("/");
+  if (!sourcePart || !pairsPart) return null;
+
+  const typesByCode = {};
+  Object.entries(SHARE_TYPE_CODES).forEach(([type, code]) => {
+    typesByCode[code] = type;
+  });
+
+  let sourceId;
+  try {
+    sourceId = decodeURIComponent(sourcePart);
+  } catch (error) {
+    console.warn("Ignoring a malformed share link:", error);
+    return null;
+  }
+
+  const pairs = [];
+  pairsPart.split(",").forEach((pair) => {
+    try {
+      const [courseCode, section, typeCode] = pair
+        .split(".")
+        .map(decodeURIComponent);
+      if (!courseCode || !section) return;
+      pairs.push({
+        courseCode,
+        section,
+        examType: typesByCode[typeCode] || null,
+      });
+    } catch (error) {
+      console.warn("Skipping a malformed course in a share link:", pair);
+    }
+  });
+  return pairs.length > 0 ? { sourceId, pairs } : null;
+}
+
+/**
+ * Get the link to a routine of the open dataset
+ * @param {Array} exams - The exams of the routine
+ * @return {string|null} - The URL, null when the dataset cannot be shared
+ *   because it only exists in this browser
+ */
+function getShareUrl(exams) {
+  const source = sources.getActiveSource();
+  if (source.session) return null;
+  return `${location.origin}${location.pathname}${
+    location.search
+  }${buildShareHash(source.id, exams)}`;
+}
+
+/**
+ * Copy a link to the routine shown to the clipboard
+ */
+function copyShareLink() {
+  const exams = ui.getScheduleExams();
+  if (exams.length === 0) {
+    ui.showToast("No exams to share. Please add courses first.", "error");
+    return;
+  }
+
+  const url = getShareUrl(exams);
+  if (!url) {
+    ui.showToast(
+      "Routines from local or imported files cannot be shared as a link",
+      "error"
+    );
+    return;
+  }
+
+  navigator.clipboard
+    .writeText(url)
+    .then(() => ui.showToast("Link to this routine copied", "success"))
+    .catch((error) => {
+      console.error("Error copying the share link:", error);
+      ui.showToast("Could not copy the link", "error");
+    });
+}
+
+/**
+ * Open the share link in the URL, if there is one, before the exam data is
+ * loaded. Its dataset is used for this visit only.
+ * @return {boolean} - Whether a shared routine is being opened
+ */
+function openSharedLink() {
+  sharedLink = parseShareHash(location.hash);
+  if (!sharedLink) return false;
+
+  const active = sources.getActiveSource();
+  if (!sources.getSource(sharedLink.sourceId)) {
+    ui.showToast(
+      `The shared dataset "${sharedLink.sourceId}" is not available here; using ${active.label}`,
+      "warning"
+    );
+  } else if (sharedLink.sourceId !== active.id) {
+    sourceBeforeShare = active.id;
+    sources.setActiveSource(sharedLink.sourceId, { persist: false });
+  }
+
+  document.body.classList.add("shared-view");
+  routineChanges.clearRoutineChanges();
+  routine.showSharedExams([]);
+  renderSharedBanner(null, []);
+  return true;
+}
+
+/**
+ * Show the exams of the open share link, looked up in the loaded exam data
+ * @return {boolean} - Whether a shared routine is shown
+ */
+function showSharedRoutine() {
+  if (!sharedLink) return false;
+
+  const exams = [];
+  const missing = [];
+  sharedLink.pairs.forEach((pair) => {
+    const found = data.findExams(
+      pair.courseCode,
+      pair.section,
+      pair.examType || undefined
+    );
+    if (found.length > 0) {
+      exams.push(...found);
+    } else {
+      missing.push(pair);
+    }
+  });
+
+  routine.showSharedExams(exams);
+  renderSharedBanner(exams, missing);
+  return true;
+}
+
+/**
+ * Describe the shared routine in its banner
+ * @param {Array|null} exams - The exams found, null while loading
+ * @param {Array} missing - Pairs without an exam
+ */
+function renderSharedBanner(exams, missing) {
+  const banner = document.getElementById("shared-routine");
+  if (!banner) return;
+  banner.classList.toggle("hidden", !sharedLink);
+  if (!sharedLink) return;
+
+  let text = "Loading the shared routine...";
+  if (exams) {
+    const count = sharedLink.pairs.length - missing.length;
+    text = `Viewing a shared routine with ${count} course${
+      count === 1 ? "" : "s"
+    } (read-only).`;
+    if (missing.length > 0) {
+      text += ` No exam found for ${missing
+        .map((pair) => `${pair.courseCode} Section ${pair.section}`)
+        .join(", ")}.`;
+    }
+  }
+  banner.querySelector(".shared-routine-text").textContent = text;
+  document.getElementById("shared-import-btn").disabled =
+    !exams || exams.length === 0;
+}
+
+/**
+ * Leave the shared view and show the user's own routine again
+ * @param {boolean} keepSource - Keep the dataset of the link for good
+ */
+function leaveSharedView(keepSource) {
+  const linkSourceId = sources.getActiveSource().id;
+  sharedLink = null;
+  history.replaceState(null, "", `${location.pathname}${location.search}`);
+  document.body.classList.remove("shared-view");
+  renderSharedBanner(null, []);
+  routine.loadRoutine();
+
+  if (keepSource) {
+    sources.setActiveSource(linkSourceId);
+  } else if (sourceBeforeShare) {
+    ui.renderSourceSwitcher(sources.getSources(), sourceBeforeShare);
+    app.switchSource(sourceBeforeShare);
+    sourceBeforeShare = null;
+    return;
+  }
+  sourceBeforeShare = null;
+  if (data.getLoadReport()) routineChanges.checkRoutine();
+}
+
+/**
+ * Add the exams of the shared routine to the user's routine
+ */
+function importSharedRoutine() {
+  const exams = routine.getExams();
+  leaveSharedView(true);
+  const added = routine.addExams(exams);
+  ui.showToast(
+    added.length > 0
+      ? `Added ${added.length} exam${
+          added.length === 1 ? "" : "s"
+        } to your routine`
+      : "These exams are already in your routine",
+    added.length > 0 ? "success" : "info"
+  );
+}
+
+/**
+ * Close the shared routine without importing it
+ */
+function closeSharedRoutine() {
+  leaveSharedView(false);
+}
+
+// Export share functions
+window.share = {
+  buildShareHash,
+  parseShareHash,
+  getShareUrl,
+  copyShareLink,
+  openSharedLink,
+  showSharedRoutine,
+  importSharedRoutine,
+  closeSharedRoutine,
+};
@@ -0,0 +1,152 @@
+// sources.js - Registry of exam datasets (JSON data and the PDF it came from)
+
+const SOURCE_BASE_URL = "https://sabbirba10.pythonanywhere.com";
+const ACTIVE_SOURCE_KEY = "activeSource";
+
+/**
+ * Known datasets. Each entry pairs an exam.json with the PDF it was extracted
+ * from, so the cross-check always opens the matching document. An entry with
+ * `parts` instead combines other datasets, e.g. a term's midterms and finals.
+ * The first entry is the default.
+ */
+const EXAM_SOURCES = [
+  {
+    id: "latest",
+    label: "Latest",
+    term: "Summer 2025",
+    jsonUrl: `${SOURCE_BASE_URL}/exam.json`,
+    pdfUrl: `${SOURCE_BASE_URL}/exam.pdf`,
+  },
+  {
+    id: "summer-2025-mid",
+    label: "Summer 2025 Mid",
+    term: "Summer 2025",
+    jsonUrl: `${SOURCE_BASE_URL}/summer-2025-mid/exam.json`,
+    pdfUrl: `${SOURCE_BASE_URL}/summer-2025-mid/exam.pdf`,
+  },
+  {
+    id: "summer-2025-final",
+    label: "Summer 2025 Final",
+    term: "Summer 2025",
+    jsonUrl: `${SOURCE_BASE_URL}/summer-2025-final/exam.json`,
+    pdfUrl: `${SOURCE_BASE_URL}/summer-2025-final/exam.pdf`,
+  },
+  {
+    id: "summer-2025",
+    label: "Summer 2025 Mid + Final",
+    term: "Summer 2025",
+    parts: ["summer-2025-mid", "summer-2025-final"],
+  },
+];
+
+// Datasets added at runtime (e.g. an imported spreadsheet). They carry their
+// exam data in `json` instead of a URL. Unless marked `persistent` (because
+// they are restored on every visit), the choice of one is never saved.
+let sessionSources = [];
+let sessionActiveId = null;
+
+/**
+ * Get all registered datasets
+ * @return {Array} - Array of source objects
+ */
+function getSources() {
+  return EXAM_SOURCES.concat(sessionSources);
+}
+
+/**
+ * Find a dataset by id
+ * @param {string} id - The source id
+ * @return {Object|null} - The source or null if unknown
+ */
+function getSource(id) {
+  return getSources().find((source) => source.id === id) || null;
+}
+
+/**
+ * Add or replace a dataset that is not part of the built-in list
+ * @param {Object} source - Source with id, label, term and json (and optionally pdfUrl or pdfData)
+ * @return {Object} - The registered source
+ */
+function registerSessionSource(source) {
+  const sessionSource = { ...source, session: true };
+  sessionSources = sessionSources
+    .filter((existing) => existing.id !== source.id)
+    .concat(sessionSource);
+  return sessionSource;
+}
+
+/**
+ * Remove a dataset added with registerSessionSource()
+ * @param {string} id - The source id
+ */
+function removeSessionSource(id) {
+  sessionSources = sessionSources.filter((source) => source.id !== id);
+  if (sessionActiveId === id) sessionActiveId = null;
+}
+
+/**
+ * Get the datasets that actually hold files for a source
+ * @param {Object} source - A source, possibly combining others
+ * @return {Array} - The source itself, or the sources it combines
+ */
+function getSourceParts(source) {
+  if (!source.parts) return [source];
+  return source.parts.map(getSource).filter(Boolean);
+}
+
+/**
+ * Get the dataset the user picked last, falling back to the default one
+ * @return {Object} - The active source
+ */
+function getActiveSource() {
+  if (sessionActiveId && getSource(sessionActiveId)) {
+    return getSource(sessionActiveId);
+  }
+
+  let savedId = null;
+  try {
+    savedId = localStorage.getItem(ACTIVE_SOURCE_KEY);
+  } catch (e) {
+    console.warn("Could not read the saved data source:", e);
+  }
+  return getSource(savedId) || EXAM_SOURCES[0];
+}
+
+/**
+ * Select and persist the active dataset
+ * @param {string} id - The source id
+ * @param {Object} [options] - { persist: false } to use it for this visit only
+ * @return {Object|null} - The newly active source or null if unknown
+ */
+function setActiveSource(id, options = {}) {
+  const source = getSource(id);
+  if (!source) {
+    console.warn("Unknown data source:", id);
+    return null;
+  }
+
+  // Session datasets are gone after a reload and visit-only choices are not
+  // saved, so keep the saved choice as it is
+  const sessionOnly =
+    (source.session && !source.persistent) || options.persist === false;
+  sessionActiveId = sessionOnly ? source.id : null;
+  if (sessionOnly) return source;
+
+  try {
+    localStorage.setItem(ACTIVE_SOURCE_KEY, source.id);
+  } catch (e) {
+    console.warn("Could not save the data source:", e);
+  }
+  return source;
+}
+
+// Export source registry functions
+window.sources = {
+  getSources,
+  getSource,
+  getSourceParts,
+  registerSessionSource,
+  removeSessionSource,
+  getActiveSource,
+  setActiveSource,
+};
@@ -0,0 +1,320 @@
+// sw.js - Service worker that keeps the routine and the cross-check usable offline
+// Served from /sw.js (see app.py) so that it controls the whole site.
+
+// Bump this whenever the files below change to drop the old caches
+const CACHE_VERSION = "v26";
+const CACHE_PREFIX = "examflask-";
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${CACHE_VERSION}`;
+const VENDOR_CACHE = `${CACHE_PREFIX}vendor-${CACHE_VERSION}`;
+const DATA_CACHE = `${CACHE_PREFIX}data-${CACHE_VERSION}`;
+
+// How long to wait for exam.json/exam.pdf before answering from the cache
+const DATA_NETWORK_TIMEOUT = 4000;
+
+const SHELL_URLS = [
+  "/",
+  "/static/css/styles.css",
+  "/static/js/main.js",
+  "/static/js/utils.js",
+  "/static/js/pdf-screenshot-helper.js",
+  "/static/js/ui.js",
+  "/static/js/toasts.js",
+  "/static/js/sources.js",
+  "/static/js/validation.js",
+  "/static/js/data.js",
+  "/static/js/persistence.js",
+  "/static/js/routine.js",
+  "/static/js/profiles.js",
+  "/static/js/routine-sort.js",
+  "/static/js/conflicts.js",
+  "/static/js/routine-views.js",
+  "/static/js/countdown.js",
+  "/static/js/search.js",
+  "/static/js/paste-list.js",
+  "/static/js/portal-schedule.js",
+  "/static/js/importer.js",
+  "/static/js/local-files.js",
+  "/static/js/routine-changes.js",
+  "/static/js/share.js",
+  "/static/js/qr-code.js",
+  "/static/js/offline.js",
+  "/static/js/course-rows.js",
+  "/static/js/dropdown.js",
+  "/static/js/pdf-debug.js",
+  "/static/js/pdf-helper.js",
+  "/static/js/pdf-viewer.js",
+];
+
+const VENDOR_URLS = [
+  "https://cdn.tailwindcss.com",
+  "https://cdnjs.cloudflare.com/ajax/libs/font-awesome/5.15.3/css/all.min.css",
+  "https://cdnjs.cloudflare.com/ajax/libs/html2canvas/1.4.1/html2canvas.min.js",
+  "https://cdnjs.cloudflare.com/ajax/libs/qrcode-generator/1.4.4/qrcode.min.js",
+  // Loaded by importer.js when an XLSX file is imported
+  "https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js",
+  "https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf_viewer.min.css",
+  "https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js",
+  "https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js",
+];
+
+const VENDOR_HOSTS = [
+  "cdn.tailwindcss.com",
+  "cdnjs.cloudflare.com",
+  "cdn.jsdelivr.net",
+];
+
+/**
+ * Check whether a URL points to exam data (exam.json or exam.pdf of any dataset)
+ * @param {URL} url - The request URL
+ * @return {boolean} - True for data files
+ */
+function isDataUrl(url) {
+  return /\/exam\.(json|pdf)$/.test(url.pathname);
+}
+
+/**
+ * Fetch a request and store a usable response in the given cache
+ * @param {string} cacheName - Name of the cache to store into
+ * @param {Request|string} request - The request to fetch
+ * @return {Promise<Response>} - The network response
+ */
+function fetchAndCache(cacheName, request) {
+  return fetch(request).then((response) => {
+    // Opaque responses come from no-cors vendor requests and cannot be
+    // inspected. Partial responses to pdf.js range requests cannot be cached.
+    if (response.status === 200 || response.type === "opaque") {
+      const copy = response.clone();
+      caches
+        .open(cacheName)
+        .then((cache) => cache.put(request, copy))
+        .catch((error) =>
+          console.warn("Could not cache:", request.url || request, error)
+        );
+    }
+    return response;
+  });
+}
+
+/**
+ * Answer from the cache and refresh the cached copy in the background
+ * @param {string} cacheName - Name of the cache
+ * @param {Request} request - The request
+ * @return {Promise<Response>}
+ */
+function staleWhileRevalidate(cacheName, request) {
+  return caches.open(cacheName).then((cache) =>
+    cache.match(request).then((cached) => {
+      const network = fetchAndCache(cacheName, request).catch(() => cached);
+      return cached || network;
+    })
+  );
+}
+
+/**
+ * Answer from the cache and only go to the network for missing entries
+ * @param {string} cacheName - Name of the cache
+ * @param {Request} request - The request
+ * @return {Promise<Response>}
+ */
+function cacheFirst(cacheName, request) {
+  return caches
+    .open(cacheName)
+    .then((cache) => cache.match(request))
+    .then((cached) => cached || fetchAndCache(cacheName, request));
+}
+
+/**
+ * Prefer fresh data, but fall back to the cache when the network is slow or down
+ * @param {string} cacheName - Name of the cache
+ * @param {Request} request - The request
+ * @return {Promise<Response>}
+ */
+function networkFirst(cacheName, request) {
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const fromCache = () =>
+      caches
+        .open(cacheName)
+        .then((cache) => cache.match(request, { ignoreSearch: true }));
+
+    const timer = setTimeout(() => {
+      fromCache().then((cached) => {
+        if (cached && !settled) {
+          settled = true;
+          resolve(cached);
+        }
+      });
+    }, DATA_NETWORK_TIMEOUT);
+
+    fetchAndCache(cacheName, request)
+      .then((response) => {
+        clearTimeout(timer);
+        if (!settled) {
+          settled = true;
+          resolve(response);
+        }
+      })
+      .catch((error) => {
+        clearTimeout(timer);
+        fromCache().then((cached) => {
+          if (settled) return;
+          settled = true;
+          cached ? resolve(cached) : reject(error);
+        });
+      });
+  });
+}
+
+/**
+ * Check whether a downloaded file is the one in the cache, by its ETag or
+ * Last-Modified header when both responses have it and by its bytes otherwise
+ * @param {Response} cached - The cached response
+ * @param {Response} response - The network response
+ * @return {Promise<boolean>} - True when the content is the same
+ */
+function isSameContent(cached, response) {
+  for (const header of ["ETag", "Last-Modified"]) {
+    const before = cached.headers.get(header);
+    const after = response.headers.get(header);
+    if (before && after) return Promise.resolve(before === after);
+  }
+  return Promise.all([
+    cached.clone().arrayBuffer(),
+    response.clone().arrayBuffer(),
+  ]).then(([before, after]) => {
+    if (before.byteLength !== after.byteLength) return false;
+    const afterBytes = new Uint8Array(after);
+    return new Uint8Array(before).every((byte, i) => byte === afterBytes[i]);
+  });
+}
+
+/**
+ * Re-download every cached data file and tell the open pages which ones changed
+ * @return {Promise}
+ */
+function revalidateData() {
+  return caches.open(DATA_CACHE).then((cache) =>
+    cache.keys().then((requests) =>
+      Promise.all(
+        requests.map((request) =>
+          Promise.all([
+            cache.match(request),
+            // Ask the server; the HTTP cache could still hold the old file
+            fetch(request.url, { cache: "no-cache" }),
+          ])
+            .then(([cached, response]) => {
+              if (response.status !== 200) return null;
+              return (
+                cached
+                  ? isSameContent(cached, response)
+                  : Promise.resolve(false)
+              ).then((same) =>
+                same
+                  ? null
+                  : cache.put(request, response).then(() => request.url)
+              );
+            })
+            .catch(() => null)
+        )
+      ).then((urls) => {
+        const updated = urls.filter(Boolean);
+        return self.clients
+          .matchAll()
+          .then((clients) =>
+            clients.forEach((client) =>
+              client.postMessage({ type: "data-revalidated", urls: updated })
+            )
+          );
+      })
+    )
+  );
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    Promise.all([
+      caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL_URLS)),
+      caches.open(VENDOR_CACHE).then((cache) =>
+        Promise.all(
+          VENDOR_URLS.map((url) =>
+            fetch(new Request(url, { mode: "no-cors" }))
+              .then((response) => cache.put(url, response))
+              .catch((error) =>
+                console.warn("Could not cache vendor file:", url, error)
+              )
+          )
+        )
+      ),
+    ]).then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  const current = [SHELL_CACHE, VENDOR_CACHE, DATA_CACHE];
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter(
+              (name) => name.startsWith(CACHE_PREFIX) && !current.includes(name)
+            )
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+
+  if (isDataUrl(url)) {
+    event.respondWith(networkFirst(DATA_CACHE, request));
+  } else if (VENDOR_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(VENDOR_CACHE, request));
+  } else if (url.origin === self.location.origin) {
+    if (request.mode === "navigate") {
+      event.respondWith(
+        staleWhileRevalidate(SHELL_CACHE, request).then(
+          (response) => response || caches.match("/")
+        )
+      );
+    } else {
+      event.respondWith(staleWhileRevalidate(SHELL_CACHE, request));
+    }
+  }
+});
+
+self.addEventListener("message", (event) => {
+  const message = event.data || {};
+
+  if (message.type === "cache-data" && Array.isArray(message.urls)) {
+    // Store the data of the selected dataset so it is there before it is first used
+    event.waitUntil(
+      caches
+        .open(DATA_CACHE)
+        .then((cache) =>
+          Promise.all(
+            message.urls.map((url) =>
+              cache
+                .match(url)
+                .then(
+                  (cached) =>
+                    cached ||
+                    fetchAndCache(DATA_CACHE, url).catch((error) =>
+                      console.warn("Could not cache data file:", url, error)
+                    )
+                )
+            )
+          )
+        )
+    );
+  } else if (message.type === "revalidate") {
+    event.waitUntil(revalidateData());
+  }
+});
@@ -0,0 +1,168 @@
+// toasts.js - Queued, deduplicated toast notifications in #toast-container
+
+// Toasts on screen at once; the rest wait their turn
+const MAX_VISIBLE_TOASTS = 3;
+// How long each kind of toast stays up, in milliseconds
+const TOAST_DURATIONS = {
+  success: 3000,
+  info: 3000,
+  warning: 5000,
+  error: 7000,
+};
+const TOAST_ICONS = {
+  success: "fa-check-circle",
+  info: "fa-info-circle",
+  warning: "fa-exclamation-triangle",
+  error: "fa-times-circle",
+};
+
+// Toasts shown or waiting, in order: { key, message, type, duration, actions, count, element, timer }
+let toastQueue = [];
+
+/**
+ * Show a toast, or repeat the identical one that is already up or waiting
+ * @param {string} message - The message to display
+ * @param {string} [type] - "success", "info", "warning" or "error"
+ * @param {Object} [options] - { duration, actions }. duration is in
+ *   milliseconds, 0 to keep the toast until it is closed; actions is an array
+ *   of { label, onClick } buttons. Toasts with actions stay until closed.
+ * @return {string} - The toast key, for dismissToast()
+ */
+function queueToast(message, type = "info", options = {}) {
+  if (!TOAST_DURATIONS[type]) type = "info";
+  const key = `${type}|${message}`;
+  const actions = options.actions || [];
+
+  const existing = toastQueue.find((toast) => toast.key === key);
+  if (existing) {
+    existing.count++;
+    existing.actions = actions;
+    if (existing.element) {
+      renderToast(existing);
+      startToastTimer(existing);
+    }
+    return key;
+  }
+
+  let duration = options.duration;
+  if (duration === undefined) {
+    duration = actions.length > 0 ? 0 : TOAST_DURATIONS[type];
+  }
+  toastQueue.push({
+    key,
+    message,
+    type,
+    duration,
+    actions,
+    count: 1,
+    element: null,
+    timer: null,
+  });
+  showQueuedToasts();
+  return key;
+}
+
+/**
+ * Put waiting toasts on screen while there is room
+ */
+function showQueuedToasts() {
+  const container = document.getElementById("toast-container");
+  if (!container) return;
+
+  toastQueue
+    .filter((toast) => !toast.element)
+    .slice(
+      0,
+      MAX_VISIBLE_TOASTS - toastQueue.filter((toast) => toast.element).length
+    )
+    .forEach((toast) => {
+      // Read out by the live region of the container; a role="alert" here
+      // would have errors announced twice
+      toast.element = document.createElement("div");
+      toast.element.addEventListener("mouseenter", () =>
+        clearTimeout(toast.timer)
+      );
+      toast.element.addEventListener("mouseleave", () =>
+        startToastTimer(toast)
+      );
+      renderToast(toast);
+      container.appendChild(toast.element);
+      startToastTimer(toast);
+    });
+}
+
+/**
+ * Draw the contents of a toast
+ * @param {Object} toast - The queued toast
+ */
+function renderToast(toast) {
+  const element = toast.element;
+  element.className = `toast toast-${toast.type}`;
+  element.innerHTML = `<i class="fas ${TOAST_ICONS[toast.type]} mr-2"></i>`;
+
+  const text = document.createElement("span");
+  text.className = "toast-message";
+  text.textContent = toast.message;
+  if (toast.count > 1) {
+    const count = document.createElement("span");
+    count.className = "toast-count";
+    count.textContent = `×${toast.count}`;
+    text.appendChild(count);
+  }
+  element.appendChild(text);
+
+  toast.actions.forEach((action) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "toast-action";
+    button.textContent = action.label;
+    button.addEventListener("click", () => {
+      dismissToast(toast.key);
+      action.onClick();
+    });
+    element.appendChild(button);
+  });
+
+  const close = document.createElement("button");
+  close.type = "button";
+  close.className = "toast-close";
+  close.setAttribute("aria-label", "Dismiss notification");
+  close.innerHTML = '<i class="fas fa-times"></i>';
+  close.addEventListener("click", () => dismissToast(toast.key));
+  element.appendChild(close);
+}
+
+/**
+ * (Re)start the auto-dismiss timer of a toast on screen
+ * @param {Object} toast - The queued toast
+ */
+function startToastTimer(toast) {
+  clearTimeout(toast.timer);
+  if (toast.duration > 0) {
+    toast.timer = setTimeout(() => dismissToast(toast.key), toast.duration);
+  }
+}
+
+/**
+ * Remove a toast and show the next waiting one
+ * @param {string} key - The key returned by queueToast()
+ */
+function dismissToast(key) {
+  const toast = toastQueue.find((other) => other.key === key);
+  if (!toast) return;
+
+  toastQueue = toastQueue.filter((other) => other !== toast);
+  clearTimeout(toast.timer);
+  if (toast.element) {
+    const element = toast.element;
+    element.classList.add("toast-leaving");
+    setTimeout(() => element.remove(), 200);
+  }
+  showQueuedToasts();
+}
+
+// Export toast functions
+window.toasts = {
+  queueToast,
+  dismissToast,
+};
@@ -1,15 +1,15 @@
 // filepath: c:\Users\meher\Desktop\exam routine\exam-schedule\exam-schedule\js\ui.js
 // ui.js - UI interaction functions
 
-const TOASTS_ENABLED = false;
-
 /**
  * Shows a toast notification
  * @param {string} message - The message to display
- * @param {string} type - Type of toast (success, error, info)
+ * @param {string} type - Type of toast (success, error, warning, info)
+ * @param {Object} [options] - { duration, actions }, see toasts.queueToast()
+ * @return {string} - The toast key
  */
-function showToast(message, type = "info") {
-  if (!TOASTS_ENABLED) return;
+function showToast(message, type = "info", options = {}) {
+  return toasts.queueToast(message, type, options);
 }
 
 /**
@@ -25,85 +25,436 @@ function updateTitle(isFinalsSchedule, examName) {
 }
 
 /**
- * Adds exams to the schedule table
- * @param {Array} exams - Array of exam objects to add
+ * Fills the data source switcher in the header
+ * @param {Array} sourceList - Available data sources
+ * @param {string} activeId - Id of the selected source
  */
-function addExamsToSchedule(exams) {
-  if (!exams || exams.length === 0) return;
+function renderSourceSwitcher(sourceList, activeId) {
+  const select = document.getElementById("source-select");
+  if (!select) return;
+
+  select.innerHTML = "";
+  sourceList.forEach((source) => {
+    const option = document.createElement("option");
+    option.value = source.id;
+    option.textContent = source.label;
+    option.selected = source.id === activeId;
+    select.appendChild(option);
+  });
+}
 
-  const scheduleBody = document.getElementById("schedule-body");
-  if (!scheduleBody) {
-    console.error("Could not find schedule-body element!");
+/**
+ * Labels shown in the data issues panel for each row status
+ */
+const ROW_STATUS_LABELS = {
+  "missing-field": "Missing field",
+  "bad-date": "Bad date",
+  "bad-time": "Bad time",
+  duplicate: "Duplicate",
+  conflict: "Conflict",
+};
+
+/**
+ * Renders the collapsible "data issues" panel from a load report
+ * @param {Object} report - Report returned by data.getLoadReport()
+ */
+function renderLoadReport(report) {
+  const panel = document.getElementById("data-issues");
+  if (!panel) return;
+
+  const issueRows = report
+    ? report.rows.filter((row) => row.status !== "valid")
+    : [];
+  if (issueRows.length === 0) {
+    panel.classList.add("hidden");
     return;
   }
 
-  // Add each exam to the table
-  exams.forEach((exam) => {
-    // Check if this exam is already in the table to avoid duplicates
-    const existingRows = Array.from(scheduleBody.querySelectorAll("tr")).filter(
-      (row) => {
-        return (
-          row.cells[2].textContent === exam.courseCode &&
-          row.cells[3].textContent === exam.section
-        );
-      }
+  const skipped = report.total - report.loaded;
+  const summary = panel.querySelector("summary");
+  summary.textContent = `Data issues: ${skipped} of ${report.total} rows skipped, ${report.counts.conflict} of them conflicting`;
+
+  const tbody = panel.querySelector("tbody");
+  tbody.innerHTML = "";
+  issueRows.forEach((row) => {
+    const tr = document.createElement("tr");
+    [
+      row.sourceLabel ? `${row.sourceLabel} #${row.index + 1}` : row.index + 1,
+      row.exam && row.exam["Course"],
+      row.exam && row.exam["Section"],
+      ROW_STATUS_LABELS[row.status] || row.status,
+      row.issues.join("; "),
+    ].forEach((value) => {
+      const td = document.createElement("td");
+      td.className = "px-2 py-1";
+      td.textContent = value === undefined || value === null ? "" : value;
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+
+  const copyBtn = panel.querySelector("#copy-issues-btn");
+  copyBtn.onclick = () => {
+    const lines = issueRows.map(
+      (row) =>
+        `Row ${row.index + 1}\t${JSON.stringify(row.exam)}\t${
+          row.status
+        }\t${row.issues.join("; ")}`
     );
+    navigator.clipboard
+      .writeText(lines.join("\n"))
+      .then(() => showToast("Data issues copied", "success"))
+      .catch(() => showToast("Could not copy the data issues", "error"));
+  };
 
-    if (existingRows.length === 0) {
-      const row = document.createElement("tr");
-      row.className = "border-b border-white transition";
+  panel.classList.remove("hidden");
+}
 
-      // Create row cells
-      row.innerHTML = `
-                <td class="px-3 py-3 align-middle">${exam.date}</td>
-                <td class="px-3 py-3 align-middle">${exam.time}</td>
-                <td class="px-3 py-3 align-middle">${exam.courseCode}</td>
-                <td class="px-3 py-3 align-middle">${exam.section}</td>
-                <td class="px-3 py-3 align-middle">${exam.classroom}</td>
-            `;
+const EXAM_TYPE_FILTERS = ["all", "mid", "final"];
 
-      scheduleBody.appendChild(row);
+/**
+ * Get the exam type shown in the routine and screenshot of the open profile.
+ * Data with a single exam type shows all of it, whatever the profile chose.
+ * @return {string} - "all", "mid" or "final"
+ */
+function getExamTypeFilter() {
+  if (data.getLoadedExamTypes().length < 2) return "all";
+  const filter = persistence.getProfileSetting("examTypeFilter");
+  return EXAM_TYPE_FILTERS.includes(filter) ? filter : "all";
+}
 
-      // Sort the table after adding new entry
-      sortScheduleTable();
+/**
+ * Check whether an exam is visible under the current exam type tab
+ * @param {Object} exam - The exam
+ * @param {string} [filter] - The filter to use instead of the saved one
+ * @return {boolean}
+ */
+function matchesExamTypeFilter(exam, filter = getExamTypeFilter()) {
+  return filter === "all" || !exam.examType || exam.examType === filter;
+}
+
+/**
+ * Shows the Mid/Final tabs when both exam types are loaded
+ * @param {Array<string>} examTypes - Exam types present in the data
+ */
+function renderExamTypeTabs(examTypes) {
+  const tabs = document.getElementById("exam-type-tabs");
+  const table = document.getElementById("exam-schedule");
+  const combined = examTypes.length > 1;
+
+  if (table) table.classList.toggle("show-exam-types", combined);
+  if (!tabs) return;
+
+  tabs.classList.toggle("hidden", !combined);
+  renderExamTypeFilter();
+}
+
+/**
+ * Shows only the exams of one type in the routine
+ * @param {string} filter - "all", "mid" or "final"
+ */
+function setExamTypeFilter(filter) {
+  if (!EXAM_TYPE_FILTERS.includes(filter)) filter = "all";
+  persistence.setProfileSetting("examTypeFilter", filter);
+  renderExamTypeFilter();
+}
+
+/**
+ * Mark the tab of the exam type shown and redraw the routine
+ */
+function renderExamTypeFilter() {
+  const filter = getExamTypeFilter();
+  document
+    .querySelectorAll("#exam-type-tabs [data-exam-type]")
+    .forEach((tab) => {
+      const selected = tab.dataset.examType === filter;
+      tab.setAttribute("aria-selected", selected ? "true" : "false");
+      tab.classList.toggle("bg-gray-900", selected);
+    });
+
+  // Group headings count the exams of the chosen type
+  renderRoutine();
+}
+
+/**
+ * Fills a schedule row from a routine entry
+ * @param {HTMLTableRowElement} row - The table row
+ * @param {Object} entry - The routine entry shown in the row
+ */
+function fillScheduleRow(row, entry) {
+  const exam = entry.exam;
+  row.dataset.entryId = entry.id;
+  row.dataset.examId = exam.id || "";
+  row.dataset.examType = exam.examType || "";
+  row.innerHTML = "";
+
+  [exam.date, exam.time, exam.courseCode, exam.section, exam.classroom].forEach(
+    (value) => {
+      const cell = row.insertCell();
+      cell.className = "px-3 py-3 align-middle";
+      cell.textContent = value;
     }
+  );
+  if (exam.examType) {
+    // Shown by CSS when midterms and finals are listed together
+    row.cells[0].dataset.typeLabel = data.EXAM_TYPE_LABELS[exam.examType];
+  }
+  // Weekday and "in 5 days" label, filled by countdown.markExamTimes()
+  const when = document.createElement("div");
+  when.className = "routine-when";
+  row.cells[0].appendChild(when);
+  if (entry.note) {
+    const note = document.createElement("div");
+    note.className = "routine-note";
+    note.textContent = entry.note;
+    row.cells[2].appendChild(note);
+  }
+
+  const actions = row.insertCell();
+  actions.className = "routine-actions px-3 py-3 align-middle";
+  if (routine.isReadOnly()) {
+    row.hidden = !matchesExamTypeFilter(exam);
+    return;
+  }
+  [
+    { icon: "fa-sticky-note", label: "Edit note", edit: editRowNote },
+    { icon: "fa-exchange-alt", label: "Change section", edit: editRowSection },
+    { icon: "fa-trash", label: "Remove from routine", edit: removeRowEntry },
+  ].forEach((action) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "routine-action";
+    button.title = `${action.label} (${exam.courseCode})`;
+    button.setAttribute("aria-label", button.title);
+    button.innerHTML = `<i class="fas ${action.icon}"></i>`;
+    button.addEventListener("click", () => action.edit(row, entry));
+    actions.appendChild(button);
   });
+
+  row.hidden = !matchesExamTypeFilter(exam);
 }
 
 /**
- * Sorts the schedule table by date and time
+ * Remove the entry of a row and keep focus on the row that takes its place
+ * @param {HTMLTableRowElement} row - The table row
+ * @param {Object} entry - The routine entry shown in the row
  */
-function sortScheduleTable() {
-  const scheduleBody = document.getElementById("schedule-body");
-  if (!scheduleBody) return;
+function removeRowEntry(row, entry) {
+  const examRows = () =>
+    Array.from(document.querySelectorAll("#schedule-body tr[data-entry-id]"));
+  const position = examRows().indexOf(row);
+  routine.removeEntry(entry.id);
+
+  const rows = examRows();
+  const next = rows[Math.min(position, rows.length - 1)];
+  if (next) next.querySelector(".routine-action:last-child").focus();
+}
+
+/**
+ * Let the user pick another section of the course in the section cell
+ * @param {HTMLTableRowElement} row - The table row
+ * @param {Object} entry - The routine entry shown in the row
+ */
+function editRowSection(row, entry) {
+  const sections = data
+    .getSectionsForCourse(entry.exam.courseCode)
+    .sort((a, b) => (parseInt(a, 10) || 0) - (parseInt(b, 10) || 0));
+  if (sections.length === 0) {
+    showToast(`No sections of ${entry.exam.courseCode} are loaded`, "error");
+    return;
+  }
 
-  const rows = Array.from(scheduleBody.querySelectorAll("tr"));
-  if (rows.length <= 1) return;
+  const select = document.createElement("select");
+  select.className = "routine-edit";
+  select.setAttribute("aria-label", `Section of ${entry.exam.courseCode}`);
+  sections.forEach((section) => {
+    const option = new Option(section, section);
+    option.selected =
+      data.normalizeSection(section) ===
+      data.normalizeSection(entry.exam.section);
+    select.appendChild(option);
+  });
 
-  // Sort rows
-  rows.sort((a, b) => {
-    const dateA = a.cells[0].textContent;
-    const dateB = b.cells[0].textContent;
-    const dateCompare =
-      new Date(utils.convertDate(dateA)) - new Date(utils.convertDate(dateB));
+  select.addEventListener("change", () => {
+    if (!routine.swapSection(entry.id, select.value)) {
+      showToast(
+        `No exam found for ${entry.exam.courseCode} Section ${select.value}`,
+        "error"
+      );
+      renderRoutine();
+    }
+  });
+  select.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") renderRoutine();
+  });
+  select.addEventListener("blur", () => {
+    if (select.isConnected) renderRoutine();
+  });
 
-    if (dateCompare !== 0) return dateCompare;
+  row.cells[3].textContent = "";
+  row.cells[3].appendChild(select);
+  select.focus();
+}
 
-    // If same date, compare times
-    const timeA = a.cells[1].textContent.split(" - ")[0];
-    const timeB = b.cells[1].textContent.split(" - ")[0];
-    return (
-      utils.convertTimeToMinutes(timeA) - utils.convertTimeToMinutes(timeB)
-    );
+/**
+ * Let the user type a note for the row below the course code
+ * @param {HTMLTableRowElement} row - The table row
+ * @param {Object} entry - The routine entry shown in the row
+ */
+function editRowNote(row, entry) {
+  const input = document.createElement("input");
+  input.type = "text";
+  input.className = "routine-edit";
+  input.maxLength = 80;
+  input.placeholder = "Note";
+  input.value = entry.note;
+  input.setAttribute("aria-label", `Note for ${entry.exam.courseCode}`);
+
+  let done = false;
+  const finish = (save) => {
+    if (done) return;
+    done = true;
+    if (save) {
+      routine.setNote(entry.id, input.value);
+    } else {
+      renderRoutine();
+    }
+  };
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") finish(true);
+    if (e.key === "Escape") finish(false);
   });
+  input.addEventListener("blur", () => finish(true));
+
+  const existing = row.cells[2].querySelector(".routine-note");
+  if (existing) existing.remove();
+  row.cells[2].appendChild(input);
+  input.focus();
+}
 
-  // Clear and reappend sorted rows
-  while (scheduleBody.firstChild) {
-    scheduleBody.removeChild(scheduleBody.firstChild);
+/**
+ * Format the heading of a group of routine rows
+ * @param {string} title - The group title, e.g. "Sunday, 20-Jul-25"
+ * @param {number} count - Exams in the group
+ * @return {string} - e.g. "Sunday, 20-Jul-25 · 2 exams"
+ */
+function formatGroupTitle(title, count) {
+  return `${title} · ${count} exam${count === 1 ? "" : "s"}`;
+}
+
+/**
+ * Show the sort order on the table headers
+ */
+function renderSortHeaders() {
+  const sort = routineSort.getRoutineSort();
+  document.querySelectorAll("#exam-schedule [data-sort]").forEach((button) => {
+    const active = button.dataset.sort === sort.column;
+    const th = button.closest("th");
+    if (active) {
+      th.setAttribute(
+        "aria-sort",
+        sort.direction === "asc" ? "ascending" : "descending"
+      );
+    } else {
+      th.removeAttribute("aria-sort");
+    }
+    const icon = button.querySelector("i");
+    icon.className = `fas ml-1 ${
+      active
+        ? sort.direction === "asc"
+          ? "fa-sort-up"
+          : "fa-sort-down"
+        : "fa-sort"
+    }`;
+  });
+
+  const groupSelect = document.getElementById("group-select");
+  if (groupSelect) groupSelect.value = routineSort.getRoutineGrouping();
+}
+
+/**
+ * Redraw the schedule table from the routine
+ */
+function renderRoutine() {
+  const scheduleBody = document.getElementById("schedule-body");
+  if (!scheduleBody) {
+    console.error("Could not find schedule-body element!");
+    return;
   }
 
-  // Reappend sorted rows
-  rows.forEach((row) => scheduleBody.appendChild(row));
+  scheduleBody.innerHTML = "";
+  const columnCount = document.querySelectorAll(
+    "#exam-schedule thead th"
+  ).length;
+  routineSort
+    .groupRoutineEntries(routineSort.sortRoutineEntries(routine.getEntries()))
+    .forEach((group) => {
+      if (group.title) {
+        const count = group.entries.filter((entry) =>
+          matchesExamTypeFilter(entry.exam)
+        ).length;
+        const heading = scheduleBody.insertRow();
+        heading.className = "routine-group";
+        heading.hidden = count === 0;
+        const cell = document.createElement("th");
+        cell.scope = "colgroup";
+        cell.colSpan = columnCount;
+        cell.textContent = formatGroupTitle(group.title, count);
+        heading.appendChild(cell);
+      }
+      group.entries.forEach((entry) => {
+        const row = document.createElement("tr");
+        row.className = "border-b border-white transition";
+        fillScheduleRow(row, entry);
+        scheduleBody.appendChild(row);
+      });
+    });
+  renderSortHeaders();
+
+  // Redrawn rows lose their change badges, clash warnings and day labels
+  routineChanges.markRoutineChanges();
+  conflicts.markConflicts();
+  countdown.markExamTimes();
+  countdown.updateCountdown();
+  routineViews.renderRoutineView();
+  qrCode.renderShareQr();
+}
+
+/**
+ * Get the exam shown in a schedule row
+ * @param {HTMLTableRowElement} row - The table row
+ * @return {Object|null} - The exam
+ */
+function getRowExam(row) {
+  const entry = routine.getEntry(row.dataset.entryId);
+  return entry ? entry.exam : null;
+}
+
+/**
+ * Get the exams of the schedule table, in table order
+ * @return {Array} - Array of exam objects
+ */
+function getScheduleExams() {
+  return routineSort
+    .sortRoutineEntries(routine.getEntries())
+    .map((entry) => entry.exam);
+}
+
+/**
+ * Get the exams of the schedule table shown under the current exam type tab
+ * @return {Array} - Array of exam objects
+ */
+function getVisibleScheduleExams() {
+  return getScheduleExams().filter((exam) => matchesExamTypeFilter(exam));
+}
+
+/**
+ * Adds exams to the schedule table
+ * @param {Array} exams - Array of exam objects to add
+ */
+function addExamsToSchedule(exams) {
+  if (!exams || exams.length === 0) return;
+  routine.addExams(exams);
 }
 
 /**
@@ -123,11 +474,31 @@ function takeScreenshot(options = {}) {
     scale: 15, // Increased to 15x for higher quality
   };
 
-  // Merge default options with provided options
-  const screenshotOptions = { ...defaultOptions, ...options };
+  // Merge default options with provided options, the exam type defaults to the open tab
+  const screenshotOptions = {
+    ...defaultOptions,
+    examType: getExamTypeFilter(),
+    showConflicts: conflicts.showConflictsInScreenshot(),
+    showQrCode: qrCode.showQrInScreenshot(),
+    ...options,
+  };
+  const entries = routineSort
+    .sortRoutineEntries(routine.getEntries())
+    .filter((entry) =>
+      matchesExamTypeFilter(entry.exam, screenshotOptions.examType)
+    );
+  const exams = entries.map((entry) => entry.exam);
+  const showExamType = new Set(exams.map((exam) => exam.examType)).size > 1;
+  const showNotes = entries.some((entry) => entry.note);
+  const entryConflicts = screenshotOptions.showConflicts
+    ? conflicts.getConflictsByEntry(
+        conflicts.findConflicts(entries, conflicts.getConflictSettings())
+      )
+    : new Map();
+  const showConflicts = entryConflicts.size > 0;
 
   // Check if table has content
-  if (document.getElementById("schedule-body").children.length === 0) {
+  if (exams.length === 0) {
     showToast("No exams to screenshot. Please add courses first.", "error");
     return;
   }
@@ -170,6 +541,9 @@ function takeScreenshot(options = {}) {
   headerRow.style.borderBottom = "1px solid #52525b"; // Tailwind gray-900
 
   const headers = ["Date", "Time", "Course", "Section", "Room"];
+  if (showExamType) headers.push("Exam");
+  if (showNotes) headers.push("Note");
+  if (showConflicts) headers.push("Warning");
 
   headers.forEach((text) => {
     const th = document.createElement("th");
@@ -196,49 +570,117 @@ function takeScreenshot(options = {}) {
   thead.appendChild(headerRow);
   newTable.appendChild(thead);
 
-  // Create table body with data from original table
+  // Create table body from the exams in the routine
   const tbody = document.createElement("tbody");
-  const originalRows = document
-    .getElementById("schedule-body")
-    .querySelectorAll("tr");
-
-  originalRows.forEach((originalRow) => {
-    const newRow = document.createElement("tr");
-    newRow.style.borderBottom = "1px solid #52525b";
-    newRow.style.backgroundColor = "transparent";
-
-    Array.from(originalRow.cells).forEach((originalCell) => {
-      const cell = document.createElement("td");
-      cell.className = "px-3 py-3";
-      cell.style.color = "#e5e7eb";
-      cell.style.backgroundColor = "transparent";
-
-      // Create a div inside the cell for flexbox centering
-      const contentDiv = document.createElement("div");
-      contentDiv.style.display = "flex";
-      contentDiv.style.justifyContent = "center";
-      contentDiv.style.alignItems = "center";
-      contentDiv.style.minHeight = "30px";
-      contentDiv.style.paddingTop = screenshotOptions.cellPaddingTop;
-      contentDiv.style.paddingRight = screenshotOptions.cellPaddingRight;
-      contentDiv.style.paddingBottom = screenshotOptions.cellPaddingBottom;
-      contentDiv.style.paddingLeft = screenshotOptions.cellPaddingLeft;
-      contentDiv.style.color = "#e5e7eb";
-      contentDiv.textContent = originalCell.textContent;
-
-      cell.appendChild(contentDiv);
-      cell.style.verticalAlign = "middle";
-      cell.style.textAlign = "center";
-
-      newRow.appendChild(cell);
-    });
 
-    tbody.appendChild(newRow);
+  routineSort.groupRoutineEntries(entries).forEach((group) => {
+    if (group.title) {
+      const groupRow = document.createElement("tr");
+      const groupCell = document.createElement("td");
+      groupCell.colSpan = headers.length;
+      groupCell.className = "px-3 py-2";
+      groupCell.style.color = "#fde047"; // Tailwind yellow-300
+      groupCell.style.backgroundColor = "#18181b";
+      groupCell.style.fontWeight = "bold";
+      groupCell.style.textAlign = "left";
+      groupCell.textContent = formatGroupTitle(
+        group.title,
+        group.entries.length
+      );
+      groupRow.appendChild(groupCell);
+      tbody.appendChild(groupRow);
+    }
+
+    group.entries.forEach((entry) => {
+      const exam = entry.exam;
+      const newRow = document.createElement("tr");
+      newRow.style.borderBottom = "1px solid #52525b";
+      newRow.style.backgroundColor = "transparent";
+
+      const values = [
+        exam.start
+          ? `${utils.getWeekdayName(exam.start).slice(0, 3)}, ${exam.date}`
+          : exam.date,
+        exam.time,
+        exam.courseCode,
+        exam.section,
+        exam.classroom,
+      ];
+      if (showExamType) {
+        values.push(data.EXAM_TYPE_LABELS[exam.examType] || "");
+      }
+      if (showNotes) values.push(entry.note);
+      if (showConflicts) {
+        values.push(
+          (entryConflicts.get(entry.id) || [])
+            .map((conflict) => conflict.message)
+            .join("; ")
+        );
+      }
+
+      values.forEach((value, valueIndex) => {
+        // The clash warning is the last column
+        const isWarning = showConflicts && valueIndex === values.length - 1;
+        const cell = document.createElement("td");
+        cell.className = "px-3 py-3";
+        cell.style.color = "#e5e7eb";
+        cell.style.backgroundColor = "transparent";
+
+        // Create a div inside the cell for flexbox centering
+        const contentDiv = document.createElement("div");
+        contentDiv.style.display = "flex";
+        contentDiv.style.justifyContent = "center";
+        contentDiv.style.alignItems = "center";
+        contentDiv.style.minHeight = "30px";
+        contentDiv.style.paddingTop = screenshotOptions.cellPaddingTop;
+        contentDiv.style.paddingRight = screenshotOptions.cellPaddingRight;
+        contentDiv.style.paddingBottom = screenshotOptions.cellPaddingBottom;
+        contentDiv.style.paddingLeft = screenshotOptions.cellPaddingLeft;
+        contentDiv.style.color = isWarning ? "#fbbf24" : "#e5e7eb";
+        contentDiv.textContent = value;
+
+        cell.appendChild(contentDiv);
+        cell.style.verticalAlign = "middle";
+        cell.style.textAlign = "center";
+
+        newRow.appendChild(cell);
+      });
+
+      tbody.appendChild(newRow);
+    });
   });
 
   newTable.appendChild(tbody);
   tempContainer.appendChild(newTable);
 
+  // Stamp the link to the exams in the image in the corner, for whoever scans it
+  const qrCanvas = screenshotOptions.showQrCode
+    ? qrCode.createRoutineQr(4, exams)
+    : null;
+  if (qrCanvas) {
+    const stamp = document.createElement("div");
+    stamp.style.display = "flex";
+    stamp.style.justifyContent = "flex-end";
+    stamp.style.alignItems = "center";
+    stamp.style.gap = "10px";
+    stamp.style.marginTop = "12px";
+
+    const caption = document.createElement("span");
+    caption.style.color = "#9ca3af"; // Tailwind gray-400
+    caption.style.fontSize = "13px";
+    caption.textContent = "Scan for the live routine";
+    stamp.appendChild(caption);
+
+    const qrImage = document.createElement("img");
+    qrImage.src = qrCanvas.toDataURL("image/png");
+    qrImage.alt = "QR code of the routine link";
+    qrImage.style.width = "96px";
+    qrImage.style.height = "96px";
+    stamp.appendChild(qrImage);
+
+    tempContainer.appendChild(stamp);
+  }
+
   // Temporarily add to document but hide it
   tempContainer.style.position = "absolute";
   tempContainer.style.left = "-9999px";
@@ -498,77 +940,20 @@ function openScreenshotModal(imageUrl) {
   });
 }
 
-/**
- * Updates the visibility of the "Add Course" buttons based on the number of input rows
- */
-function updateAddCourseButtons() {
-  const inputRows = document.querySelectorAll(".input-row");
-  const addButtons = document.querySelectorAll(".add-course");
-  if (inputRows.length >= 7) {
-    addButtons.forEach((btn) => (btn.style.display = "none"));
-  } else {
-    addButtons.forEach((btn) => (btn.style.display = ""));
-  }
-}
-
-// Call this function whenever a course is added or removed
-document.addEventListener("click", function (e) {
-  if (e.target.closest(".add-course")) {
-    // Your logic to add a new course row...
-    setTimeout(updateAddCourseButtons, 0); // Update after DOM changes
-  }
-  // If you have a remove button, also call updateAddCourseButtons after removal
-});
-
-// Also call once on page load
-document.addEventListener("DOMContentLoaded", updateAddCourseButtons);
-
-/**
- * Save the routine table to localStorage
- */
-function saveRoutineToLocalStorage() {
-  const rows = Array.from(document.querySelectorAll("#schedule-body tr"));
-  const data = rows.map((row) =>
-    Array.from(row.children).map((cell) => cell.textContent)
-  );
-  localStorage.setItem("routineTable", JSON.stringify(data));
-}
-
-/**
- * Load the routine table from localStorage
- */
-function loadRoutineFromLocalStorage() {
-  const data = JSON.parse(localStorage.getItem("routineTable") || "[]");
-  const tbody = document.getElementById("schedule-body");
-  if (!tbody) return;
-  tbody.innerHTML = "";
-  data.forEach((cols) => {
-    const tr = document.createElement("tr");
-    cols.forEach((text) => {
-      const td = document.createElement("td");
-      td.textContent = text;
-      tr.appendChild(td);
-    });
-    tbody.appendChild(tr);
-  });
-}
-
-/**
- * Clear the routine table from localStorage
- */
-function clearRoutineLocalStorage() {
-  localStorage.removeItem("routineTable");
-}
-
 // Export UI functions
 window.ui = {
   showToast,
   updateTitle,
+  renderSourceSwitcher,
+  renderLoadReport,
+  renderExamTypeTabs,
+  setExamTypeFilter,
+  getExamTypeFilter,
   addExamsToSchedule,
-  sortScheduleTable,
+  renderRoutine,
+  getRowExam,
+  getScheduleExams,
+  getVisibleScheduleExams,
   takeScreenshot,
   openScreenshotModal,
-  saveRoutineToLocalStorage,
-  loadRoutineFromLocalStorage,
-  clearRoutineLocalStorage,
 };
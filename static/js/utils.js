@@ -45,6 +45,192 @@ function formatDateFromJSON(dateStr) {
     return dateStr;
 }
 
+/**
+ * Parses a date in "YYYY-MM-DD" or "D-MMM-YY" format into its parts
+ * @param {string} dateStr - The date string to parse
+ * @return {Object|null} - { year, month, day } with a 1-based month, or null if invalid
+ */
+function parseDateFromJSON(dateStr) {
+    if (!dateStr || typeof dateStr !== 'string') return null;
+    const dmyPattern = /^([0-9]{1,2})-([A-Za-z]{3})-([0-9]{2}|[0-9]{4})$/;
+    const ymdPattern = /^([0-9]{4})-([0-9]{2})-([0-9]{2})$/;
+    const value = dateStr.trim();
+    let year, month, day;
+
+    if (dmyPattern.test(value)) {
+        const [_, d, m, y] = dmyPattern.exec(value);
+        const monthIndex = MONTH_NAMES.findIndex(name => name.toLowerCase() === m.toLowerCase());
+        if (monthIndex === -1) return null;
+        year = y.length === 2 ? 2000 + parseInt(y, 10) : parseInt(y, 10);
+        month = monthIndex + 1;
+        day = parseInt(d, 10);
+    } else if (ymdPattern.test(value)) {
+        const [_, y, m, d] = ymdPattern.exec(value);
+        year = parseInt(y, 10);
+        month = parseInt(m, 10);
+        day = parseInt(d, 10);
+    } else {
+        return null;
+    }
+
+    // Reject impossible dates such as 31-Feb
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+        return null;
+    }
+    return { year, month, day };
+}
+
+/**
+ * Parses a time in "HH:MM" (optionally with seconds or AM/PM) into minutes since midnight
+ * @param {string} timeStr - The time string to parse
+ * @return {number|null} - Minutes since midnight, or null if invalid
+ */
+function parseTimeFromJSON(timeStr) {
+    if (!timeStr || typeof timeStr !== 'string') return null;
+    const match = /^([0-9]{1,2}):([0-9]{2})(?::[0-9]{2})?\s*([AaPp][Mm])?$/.exec(timeStr.trim());
+    if (!match) return null;
+
+    let hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    const period = match[3] ? match[3].toUpperCase() : null;
+    if (minutes > 59) return null;
+    if (period) {
+        if (hours < 1 || hours > 12) return null;
+        if (period === 'PM' && hours < 12) hours += 12;
+        if (period === 'AM' && hours === 12) hours = 0;
+    } else if (hours > 23) {
+        return null;
+    }
+    return hours * 60 + minutes;
+}
+
+// Exams are held in Asia/Dhaka, which is UTC+6 all year (no daylight saving)
+const DHAKA_OFFSET_MINUTES = 6 * 60;
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Builds the Date for a wall-clock time in Dhaka
+ * @param {Object} dateParts - { year, month, day } as returned by parseDateFromJSON
+ * @param {number} minutes - Minutes since midnight, Dhaka time
+ * @return {Date} - The matching point in time
+ */
+function toDhakaDate(dateParts, minutes) {
+    const utcMs = Date.UTC(dateParts.year, dateParts.month - 1, dateParts.day, 0, minutes);
+    return new Date(utcMs - DHAKA_OFFSET_MINUTES * 60000);
+}
+
+/**
+ * Reads the Dhaka calendar fields of a Date
+ * @param {Date} date - The date to read
+ * @return {Object} - { year, month, day, minutes, weekday } with a 1-based month
+ */
+function getDhakaParts(date) {
+    const shifted = new Date(date.getTime() + DHAKA_OFFSET_MINUTES * 60000);
+    return {
+        year: shifted.getUTCFullYear(),
+        month: shifted.getUTCMonth() + 1,
+        day: shifted.getUTCDate(),
+        minutes: shifted.getUTCHours() * 60 + shifted.getUTCMinutes(),
+        weekday: shifted.getUTCDay()
+    };
+}
+
+/**
+ * Formats a Date as an ISO 8601 string with the Dhaka offset
+ * @param {Date} date - The date to format
+ * @return {string} - e.g. "2025-03-20T09:00:00+06:00"
+ */
+function toDhakaISO(date) {
+    const shifted = new Date(date.getTime() + DHAKA_OFFSET_MINUTES * 60000);
+    return shifted.toISOString().slice(0, 19) + '+06:00';
+}
+
+/**
+ * Formats a Date as the "D-MMM-YY" display date, in Dhaka time
+ * @param {Date} date - The date to format
+ * @return {string} - e.g. "20-Mar-25"
+ */
+function formatDisplayDate(date) {
+    const parts = getDhakaParts(date);
+    return `${parts.day}-${MONTH_NAMES[parts.month - 1]}-${String(parts.year).slice(-2)}`;
+}
+
+/**
+ * Formats a start and end Date as the "h:mm AM - h:mm PM" display time, in Dhaka time
+ * @param {Date} start - Start of the exam
+ * @param {Date} end - End of the exam
+ * @return {string} - e.g. "9:00 AM - 11:00 AM"
+ */
+function formatDisplayTime(start, end) {
+    const toHHMM = (minutes) => `${Math.floor(minutes / 60)}:${(minutes % 60).toString().padStart(2, '0')}`;
+    return convertTimeFromJSON(toHHMM(getDhakaParts(start).minutes), toHHMM(getDhakaParts(end).minutes));
+}
+
+/**
+ * Gets the weekday name of a Date, in Dhaka time
+ * @param {Date} date - The date
+ * @return {string} - e.g. "Thursday"
+ */
+function getWeekdayName(date) {
+    return WEEKDAY_NAMES[getDhakaParts(date).weekday];
+}
+
+/**
+ * Numbers the Dhaka calendar day of a date, so days compare the same on
+ * every device whatever its time zone
+ * @param {Date} date - The date
+ * @return {number} - Days since 1 January 1970 in Dhaka
+ */
+function getDhakaDayNumber(date) {
+    const parts = getDhakaParts(date);
+    return Date.UTC(parts.year, parts.month - 1, parts.day) / 86400000;
+}
+
+/**
+ * Counts the Dhaka calendar days from one date to another
+ * @param {Date} from - The first date
+ * @param {Date} to - The second date
+ * @return {number} - e.g. 1 when `to` is the day after `from`, negative when it is before
+ */
+function getDaysBetween(from, to) {
+    return getDhakaDayNumber(to) - getDhakaDayNumber(from);
+}
+
+/**
+ * Describes when an exam is, relative to now
+ * @param {Date} start - Start of the exam
+ * @param {Date} end - End of the exam
+ * @param {Date} [now] - The current time
+ * @return {string} - "done", "now", "today", "tomorrow" or "in N days"
+ */
+function getRelativeDayLabel(start, end, now = new Date()) {
+    if (end <= now) return 'done';
+    if (start <= now) return 'now';
+    const days = getDaysBetween(now, start);
+    if (days === 0) return 'today';
+    if (days === 1) return 'tomorrow';
+    return `in ${days} days`;
+}
+
+/**
+ * Formats a duration as a countdown
+ * @param {number} ms - The duration in milliseconds
+ * @return {string} - e.g. "2d 03:15:20" or "03:15:20"
+ */
+function formatCountdown(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const days = Math.floor(totalSeconds / 86400);
+    const pad = (value) => value.toString().padStart(2, '0');
+    const clock = [
+        Math.floor(totalSeconds / 3600) % 24,
+        Math.floor(totalSeconds / 60) % 60,
+        totalSeconds % 60
+    ].map(pad).join(':');
+    return days > 0 ? `${days}d ${clock}` : clock;
+}
+
 /**
  * Converts a date string to a standard format for comparison
  * @param {string} dateStr - The date string to convert
@@ -122,6 +308,18 @@ function convertTimeToMinutes(timeString) {
 window.utils = {
     debounce,
     formatDateFromJSON,
+    parseDateFromJSON,
+    parseTimeFromJSON,
+    toDhakaDate,
+    getDhakaParts,
+    toDhakaISO,
+    formatDisplayDate,
+    formatDisplayTime,
+    getWeekdayName,
+    getDhakaDayNumber,
+    getDaysBetween,
+    getRelativeDayLabel,
+    formatCountdown,
     convertDate,
     convertToAMPM,
     convertTimeFromJSON,
@@ -0,0 +1,221 @@
+// validation.js - Schema checks for the rows of exam.json
+
+const ROW_STATUS = {
+  VALID: "valid",
+  MISSING_FIELD: "missing-field",
+  BAD_DATE: "bad-date",
+  BAD_TIME: "bad-time",
+  DUPLICATE: "duplicate",
+  CONFLICT: "conflict",
+};
+
+// Statuses whose rows are still loaded into the schedule. Conflicting rows
+// are left out: neither of their times can be trusted.
+const LOADED_STATUSES = [ROW_STATUS.VALID];
+
+const REQUIRED_FIELDS = [
+  "Course",
+  "Section",
+  "Start Time",
+  "End Time",
+  "Room.",
+];
+
+/**
+ * Get the date field used by an exam row
+ * @param {Object} exam - Raw exam row from exam.json
+ * @return {string|null} - "Final Date", "Mid Date" or null if neither is set
+ */
+function getDateField(exam) {
+  if (exam["Final Date"]) return "Final Date";
+  if (exam["Mid Date"]) return "Mid Date";
+  return null;
+}
+
+/**
+ * Checks a single row on its own (fields, date and times)
+ * @param {Object} exam - Raw exam row from exam.json
+ * @return {Object} - { status, issues } where issues is a list of messages
+ */
+function validateExamRow(exam) {
+  if (!exam || typeof exam !== "object") {
+    return { status: ROW_STATUS.MISSING_FIELD, issues: ["Row is empty"] };
+  }
+
+  const missing = REQUIRED_FIELDS.filter(
+    (field) => !exam[field] || !String(exam[field]).trim()
+  );
+  if (!getDateField(exam)) {
+    missing.push("Mid Date/Final Date");
+  }
+  if (missing.length > 0) {
+    return {
+      status: ROW_STATUS.MISSING_FIELD,
+      issues: [`Missing ${missing.join(", ")}`],
+    };
+  }
+
+  const dateField = getDateField(exam);
+  if (!utils.parseDateFromJSON(String(exam[dateField]))) {
+    return {
+      status: ROW_STATUS.BAD_DATE,
+      issues: [`Unreadable ${dateField} "${exam[dateField]}"`],
+    };
+  }
+
+  const start = utils.parseTimeFromJSON(String(exam["Start Time"]));
+  const end = utils.parseTimeFromJSON(String(exam["End Time"]));
+  const timeIssues = [];
+  if (start === null) {
+    timeIssues.push(`Unreadable Start Time "${exam["Start Time"]}"`);
+  }
+  if (end === null) {
+    timeIssues.push(`Unreadable End Time "${exam["End Time"]}"`);
+  }
+  if (start !== null && end !== null && end <= start) {
+    timeIssues.push(
+      `End Time ${exam["End Time"]} is not after Start Time ${exam["Start Time"]}`
+    );
+  }
+  if (timeIssues.length > 0) {
+    return { status: ROW_STATUS.BAD_TIME, issues: timeIssues };
+  }
+
+  return { status: ROW_STATUS.VALID, issues: [] };
+}
+
+/**
+ * Builds the date and time part of a row, used to tell split rooms from conflicts
+ * @param {Object} exam - Raw exam row that passed validateExamRow
+ * @return {string} - Signature of the row's date and times
+ */
+function timingSignature(exam) {
+  const dateField = getDateField(exam);
+  return [
+    dateField,
+    utils.formatDateFromJSON(String(exam[dateField])),
+    utils.parseTimeFromJSON(String(exam["Start Time"])),
+    utils.parseTimeFromJSON(String(exam["End Time"])),
+  ].join("|");
+}
+
+/**
+ * Check whether two rows claim different times for the same sitting: the
+ * same date with overlapping but unequal times. Equal times are a split
+ * room and times that do not overlap are further sittings.
+ * @param {Object} exam - Raw exam row that passed validateExamRow
+ * @param {Object} other - Another such row of the same course and section
+ * @return {boolean} - True if the rows contradict each other
+ */
+function timingsContradict(exam, other) {
+  if (timingSignature(exam) === timingSignature(other)) return false;
+  const dateField = getDateField(exam);
+  if (
+    utils.formatDateFromJSON(String(exam[dateField])) !==
+    utils.formatDateFromJSON(String(other[dateField]))
+  ) {
+    return false;
+  }
+  return (
+    utils.parseTimeFromJSON(String(exam["Start Time"])) <
+      utils.parseTimeFromJSON(String(other["End Time"])) &&
+    utils.parseTimeFromJSON(String(other["Start Time"])) <
+      utils.parseTimeFromJSON(String(exam["End Time"]))
+  );
+}
+
+/**
+ * Builds the comparable part of a row, used to spot duplicates
+ * @param {Object} exam - Raw exam row that passed validateExamRow
+ * @return {string} - Signature of the row's schedule data
+ */
+function scheduleSignature(exam) {
+  return [
+    timingSignature(exam),
+    String(exam["Room."]).trim(),
+    String(exam["ID Range"] || "").trim(),
+  ].join("|");
+}
+
+/**
+ * Classifies every row of exam.json
+ * @param {Array} exams - Raw exam rows from exam.json
+ * @return {Object} - Report with per-row results and a count per status
+ */
+function validateExams(exams) {
+  const rows = (exams || []).map((exam, index) => ({
+    index: index,
+    exam: exam,
+    ...validateExamRow(exam),
+  }));
+
+  // Group the rows that passed the field checks by course, section and exam
+  // type, spelt the way the lookups of data.js match them
+  const groups = {};
+  rows
+    .filter((row) => row.status === ROW_STATUS.VALID)
+    .forEach((row) => {
+      const key = [
+        data.normalizeCourseCode(row.exam["Course"]),
+        data.normalizeSection(row.exam["Section"]),
+        getDateField(row.exam),
+      ].join("|");
+      (groups[key] = groups[key] || []).push(row);
+    });
+
+  Object.values(groups).forEach((group) => {
+    if (group.length < 2) return;
+
+    const seen = {};
+    group.forEach((row) => {
+      const signature = scheduleSignature(row.exam);
+      if (seen[signature]) {
+        row.status = ROW_STATUS.DUPLICATE;
+        row.issues.push(`Same as row ${seen[signature].index + 1}`);
+      } else {
+        seen[signature] = row;
+      }
+    });
+
+    // Rows at the same date and time in other rooms are a split section and
+    // rows at other times are the sittings of a multi-part exam; only rows
+    // that overlap at different times contradict each other
+    const distinct = Object.values(seen);
+    distinct.forEach((row) => {
+      const others = distinct
+        .filter((other) => timingsContradict(row.exam, other.exam))
+        .map((other) => other.index + 1);
+      if (others.length === 0) return;
+      row.status = ROW_STATUS.CONFLICT;
+      row.issues.push(`Conflicting date or time with row ${others.join(", ")}`);
+    });
+  });
+
+  const counts = {};
+  Object.values(ROW_STATUS).forEach((status) => (counts[status] = 0));
+  rows.forEach((row) => counts[row.status]++);
+
+  return {
+    total: rows.length,
+    loaded: rows.filter((row) => LOADED_STATUSES.includes(row.status)).length,
+    counts: counts,
+    rows: rows,
+  };
+}
+
+/**
+ * Check whether a validated row is loaded into the schedule
+ * @param {Object} row - A row from validateExams().rows
+ * @return {boolean} - True if the row is usable
+ */
+function isLoadedRow(row) {
+  return LOADED_STATUSES.includes(row.status);
+}
+
+// Export validation functions
+window.validation = {
+  ROW_STATUS,
+  validateExamRow,
+  validateExams,
+  isLoadedRow,
+};
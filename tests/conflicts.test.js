@@ -0,0 +1,129 @@
+// conflicts.test.js - Clashing, overlapping and crowded exams in the routine
+
+// Exams are grouped by their day in Dhaka, whatever the device time zone
+process.env.TZ = "America/New_York";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./helpers/browser");
+
+/**
+ * Build a routine entry for an exam on a Dhaka date and time
+ * @param {string} courseCode - The course
+ * @param {string} start - e.g. "2025-07-21T08:00"
+ * @param {string} end - e.g. "2025-07-21T10:00"
+ * @return {Object} - { id, exam }
+ */
+function entryAt(courseCode, start, end) {
+  return {
+    id: courseCode,
+    exam: {
+      courseCode,
+      date: start.slice(0, 10),
+      time: `${start.slice(11)} - ${end.slice(11)}`,
+      start: new Date(`${start}:00+06:00`),
+      end: new Date(`${end}:00+06:00`),
+    },
+  };
+}
+
+/**
+ * Open a page with conflicts.js and a routine of the given entries
+ * @param {Array} entries - Routine entries
+ * @return {Window}
+ */
+function loadConflicts(entries) {
+  return loadScripts(["utils.js", "persistence.js", "conflicts.js"], {
+    routine: { getEntries: () => entries },
+  });
+}
+
+/**
+ * List the types of the conflicts found
+ * @param {Array} found - Conflicts from findConflicts()
+ * @return {Array}
+ */
+function toTypes(found) {
+  return Array.from(found, (conflict) => conflict.type);
+}
+
+// 08:00, 12:00 and 16:00 in Dhaka are 22:00 the evening before, 02:00 and
+// 06:00 in New York
+const sameDhakaDay = [
+  entryAt("CSE110", "2025-07-21T08:00", "2025-07-21T10:00"),
+  entryAt("MAT120", "2025-07-21T12:00", "2025-07-21T14:00"),
+  entryAt("PHY111", "2025-07-21T16:00", "2025-07-21T18:00"),
+];
+
+test("counts the exams of a Dhaka day on a device elsewhere", () => {
+  const window = loadConflicts(sameDhakaDay);
+  const found = window.conflicts.findConflicts(sameDhakaDay);
+  assert.deepEqual(toTypes(found), ["overload"]);
+  assert.equal(found[0].message, "3 exams on 2025-07-21");
+});
+
+test("finds tight gaps within a Dhaka day only", () => {
+  const entries = [
+    entryAt("CSE110", "2025-07-21T09:00", "2025-07-21T11:00"),
+    entryAt("MAT120", "2025-07-21T11:15", "2025-07-21T13:00"),
+    // 15 minutes after midnight is another day in Dhaka
+    entryAt("PHY111", "2025-07-21T22:00", "2025-07-21T23:50"),
+    entryAt("CHE101", "2025-07-22T00:05", "2025-07-22T01:00"),
+  ];
+  const window = loadConflicts(entries);
+  assert.deepEqual(toTypes(window.conflicts.findConflicts(entries)), [
+    "tight",
+    "overload",
+  ]);
+});
+
+test("uses the limits passed in", () => {
+  const window = loadConflicts(sameDhakaDay);
+  assert.deepEqual(
+    toTypes(
+      window.conflicts.findConflicts(sameDhakaDay, {
+        maxExamsPerDay: 3,
+        minGapMinutes: 180,
+      })
+    ),
+    ["tight", "tight"]
+  );
+});
+
+test("keeps the limits with the open profile", () => {
+  const window = loadConflicts(sameDhakaDay);
+  const defaults = window.conflicts.getConflictSettings();
+  assert.equal(defaults.maxExamsPerDay, window.conflicts.MAX_EXAMS_PER_DAY);
+  assert.equal(defaults.minGapMinutes, window.conflicts.MIN_GAP_MINUTES);
+
+  window.conflicts.setConflictSettings({ maxExamsPerDay: "3" });
+  window.conflicts.setConflictSettings({ minGapMinutes: "abc" });
+  assert.deepEqual(
+    { ...window.conflicts.getConflictSettings() },
+    { maxExamsPerDay: 3, minGapMinutes: window.conflicts.MIN_GAP_MINUTES }
+  );
+  assert.equal(window.persistence.getProfileSetting("maxExamsPerDay"), 3);
+});
+
+test("describes the limits of the profile in the banner", () => {
+  const window = loadConflicts(sameDhakaDay);
+  window.document.body.innerHTML = `
+    <input id="max-exams-per-day" /><input id="min-gap-minutes" />
+    <div id="routine-conflicts" class="hidden">
+      <span class="routine-conflicts-text"></span>
+      <input type="checkbox" id="conflicts-in-screenshot" />
+      <ul class="routine-conflicts-list"></ul>
+    </div>`;
+  window.conflicts.setConflictSettings({
+    maxExamsPerDay: 1,
+    minGapMinutes: 150,
+  });
+
+  const text = window.document.querySelector(".routine-conflicts-text");
+  assert.equal(
+    text.textContent,
+    "Your routine has 1 day with more than 1 exam, 2 gaps under 2 h 30 min."
+  );
+  assert.equal(window.document.getElementById("max-exams-per-day").value, "1");
+  assert.equal(window.document.getElementById("min-gap-minutes").value, "150");
+});
@@ -0,0 +1,91 @@
+// countdown.test.js - The next exam banner and its one-second tick
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./helpers/browser");
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Open a page with the next exam banner and a routine of the given exams.
+ * The interval of the countdown is kept to be run by hand.
+ * @param {Array} exams - Exams with start and end dates
+ * @return {Object} - { window, tick, lookups } where lookups counts the
+ *   reads of the visible routine, which go through the saved settings
+ */
+function loadCountdown(exams) {
+  const page = { tick: null, lookups: 0 };
+  const window = loadScripts(["utils.js", "countdown.js"], {
+    ui: {
+      getVisibleScheduleExams: () => {
+        page.lookups++;
+        return exams;
+      },
+    },
+    routine: { getExams: () => exams, getEntry: () => null },
+    routineViews: { renderRoutineView() {} },
+  });
+  window.setInterval = (callback) => {
+    page.tick = callback;
+    return 1;
+  };
+  window.document.body.innerHTML =
+    '<div id="next-exam" class="hidden"><span class="next-exam-text"></span>' +
+    '<span class="next-exam-countdown"></span></div>';
+  page.window = window;
+  return page;
+}
+
+/**
+ * Build an exam of the routine
+ * @param {string} courseCode - The course code
+ * @param {number} startsIn - Milliseconds from now to its start
+ * @param {number} length - Its length in milliseconds
+ * @return {Object}
+ */
+function makeExam(courseCode, startsIn, length) {
+  const start = new Date(Date.now() + startsIn);
+  return {
+    courseCode,
+    section: "01",
+    classroom: "UB1001",
+    date: "20-Jul-25",
+    time: "9:00 AM - 11:00 AM",
+    start,
+    end: new Date(start.getTime() + length),
+  };
+}
+
+test("ticks without looking the next exam up again", () => {
+  const page = loadCountdown([
+    makeExam("CSE110", 90 * MINUTE, 2 * 60 * MINUTE),
+  ]);
+  page.window.countdown.updateCountdown();
+  page.window.countdown.startCountdown();
+  for (let i = 0; i < 5; i++) page.tick();
+
+  assert.equal(page.lookups, 1);
+  const banner = page.window.document.getElementById("next-exam");
+  assert.equal(banner.classList.contains("hidden"), false);
+  assert.match(banner.textContent, /Next exam: CSE110 Section 01/);
+  assert.match(banner.textContent, /01:(29|30):\d\d/);
+});
+
+test("moves on to the following exam once the shown one ends", async () => {
+  const exams = [
+    makeExam("CSE110", -MINUTE, MINUTE + 300),
+    makeExam("MAT120", 60 * MINUTE, 60 * MINUTE),
+  ];
+  const page = loadCountdown(exams);
+  page.window.countdown.updateCountdown();
+  page.window.countdown.startCountdown();
+  const banner = page.window.document.getElementById("next-exam");
+  assert.match(banner.textContent, /CSE110 Section 01 is on now/);
+
+  await new Promise((resolve) => setTimeout(resolve, 350));
+  exams.shift();
+  page.tick();
+
+  assert.equal(page.lookups, 2);
+  assert.match(banner.textContent, /Next exam: MAT120 Section 01/);
+});
@@ -0,0 +1,81 @@
+// data.test.js - Loading exam.json of the active source
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { readFixture, loadScripts } = require("./helpers/browser");
+
+/**
+ * Open a page whose exam.json requests answer after a delay
+ * @param {Object} responses - URL part -> { fixture, delay } or { error }
+ * @return {Window}
+ */
+function loadWithSlowFetch(responses) {
+  const calls = { title: [], toast: [] };
+  const window = loadScripts(
+    ["utils.js", "sources.js", "validation.js", "data.js"],
+    {
+      fetch: (url) => {
+        const key = Object.keys(responses).find((part) => url.includes(part));
+        const response = responses[key];
+        return new Promise((resolve) =>
+          setTimeout(
+            () =>
+              resolve({
+                ok: !response.error,
+                json: () =>
+                  Promise.resolve(JSON.parse(readFixture(response.fixture))),
+              }),
+            response.delay
+          )
+        );
+      },
+      ui: {
+        renderLoadReport() {},
+        updateTitle: (isFinals, name) => calls.title.push(name),
+        renderExamTypeTabs() {},
+        showToast: (message) => calls.toast.push(message),
+      },
+      share: { showSharedRoutine: () => false },
+      routineChanges: { checkRoutine() {} },
+    }
+  );
+  window.console.error = () => {};
+  window.calls = calls;
+  return window;
+}
+
+test("keeps the data of the latest load when an older one ends last", async () => {
+  const window = loadWithSlowFetch({
+    "summer-2025-mid/": { fixture: "exam.json", delay: 40 },
+    "summer-2025-final/": { fixture: "final.json", delay: 0 },
+  });
+
+  window.sources.setActiveSource("summer-2025-mid");
+  const slow = window.data.loadScheduleData();
+  window.sources.setActiveSource("summer-2025-final");
+  const fast = window.data.loadScheduleData();
+  await Promise.all([slow, fast]);
+
+  assert.deepEqual(Array.from(window.data.getLoadedExamTypes()), ["final"]);
+  assert.equal(window.data.getLoadReport().total, 2);
+  assert.equal(window.data.findExams("PHY111", "12").length, 0);
+  assert.deepEqual(window.calls.title, ["Final Exam Schedule for Summer 2025"]);
+  assert.equal(window.calls.toast.length, 1);
+});
+
+test("does not report the failure of an older load", async () => {
+  const window = loadWithSlowFetch({
+    "summer-2025-mid/": { error: true, delay: 40 },
+    "summer-2025-final/": { fixture: "final.json", delay: 0 },
+  });
+
+  window.sources.setActiveSource("summer-2025-mid");
+  const failing = window.data.loadScheduleData();
+  window.sources.setActiveSource("summer-2025-final");
+  const fast = window.data.loadScheduleData();
+  await Promise.all([failing, fast]);
+
+  assert.deepEqual(Array.from(window.calls.toast), [
+    "Loaded 2 exam entries successfully",
+  ]);
+});
@@ -0,0 +1,101 @@
+// browser.js - Runs the page scripts of static/js in a jsdom window, the way
+// templates/index.html includes them, for tests
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { JSDOM } = require("jsdom");
+
+const SCRIPT_DIR = path.join(__dirname, "..", "..", "static", "js");
+const FIXTURE_DIR = path.join(__dirname, "..", "fixtures");
+
+// The script context of each window from loadScripts()
+const contexts = new WeakMap();
+
+/**
+ * Read a test fixture
+ * @param {string} name - Path below tests/fixtures
+ * @return {string} - The file contents
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURE_DIR, name), "utf8");
+}
+
+/**
+ * Open an empty page and run page scripts in it
+ * @param {Array} scripts - File names in static/js, in include order
+ * @param {Object} [globals] - Modules the scripts use but the test does not
+ *   load, e.g. { ui: { showToast() {} } }
+ * @return {Window} - The jsdom window
+ */
+function loadScripts(scripts, globals = {}) {
+  const dom = new JSDOM("<!DOCTYPE html><body></body>", {
+    url: "http://localhost:5000/",
+    runScripts: "outside-only",
+  });
+  const window = dom.window;
+  window.console.log = () => {};
+  Object.assign(window, globals);
+  contexts.set(window, dom.getInternalVMContext());
+  runInWindow(window, scripts);
+  return window;
+}
+
+/**
+ * Run more page scripts in a window from loadScripts(), e.g. after filling
+ * its localStorage
+ * @param {Window} window - The jsdom window
+ * @param {Array} scripts - File names in static/js, in include order
+ */
+function runInWindow(window, scripts) {
+  // As classic scripts, so top-level declarations share one scope
+  scripts.forEach((name) => {
+    const file = path.join(SCRIPT_DIR, name);
+    new vm.Script(fs.readFileSync(file, "utf8"), {
+      filename: file,
+    }).runInContext(contexts.get(window));
+  });
+}
+
+/**
+ * Open a page with exam data loaded from fixtures through data.js
+ * @param {Array} scripts - Further page scripts to run, in include order
+ * @param {Object} [globals] - See loadScripts()
+ * @param {Array} [fixtures] - exam.json fixtures whose exams make up the
+ *   dataset, e.g. ["exam.json", "final.json"] for mids and finals
+ * @return {Promise<Window>} - Resolves once the exam data is loaded
+ */
+function loadWithExamData(scripts, globals = {}, fixtures = ["exam.json"]) {
+  const window = loadScripts(
+    ["utils.js", "sources.js", "validation.js", "data.js", ...scripts],
+    {
+      share: { showSharedRoutine: () => false },
+      routineChanges: { checkRoutine() {} },
+      ...globals,
+      ui: {
+        renderLoadReport() {},
+        updateTitle() {},
+        renderExamTypeTabs() {},
+        showToast() {},
+        ...globals.ui,
+      },
+    }
+  );
+  const source = window.sources.registerSessionSource({
+    id: "test-exams",
+    label: "Test exams",
+    term: "Test 2025",
+    json: {
+      exams: fixtures.flatMap((name) => JSON.parse(readFixture(name)).exams),
+    },
+  });
+  window.sources.setActiveSource(source.id);
+  return window.data.loadScheduleData().then(() => window);
+}
+
+module.exports = {
+  readFixture,
+  loadScripts,
+  runInWindow,
+  loadWithExamData,
+};
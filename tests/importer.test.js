@@ -0,0 +1,68 @@
+// importer.test.js - Guessing the columns of an imported spreadsheet
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./helpers/browser");
+
+/**
+ * Guess the columns of a header row
+ * @param {Array} headers - The header row
+ * @return {Object} - Column index per field key, plus examType
+ */
+function guess(headers) {
+  const window = loadScripts(["importer.js"]);
+  return { ...window.importer.guessColumnMapping(headers) };
+}
+
+test("takes the columns named like the fields", () => {
+  assert.deepEqual(
+    guess(["Course", "Sec.", "Final Date", "Start Time", "End Time", "Room."]),
+    {
+      course: 0,
+      section: 1,
+      date: 2,
+      start: 3,
+      end: 4,
+      room: 5,
+      examType: "final",
+    }
+  );
+});
+
+test("prefers exact header names over columns that only contain them", () => {
+  assert.deepEqual(
+    guess([
+      "Course Title",
+      "Room Code",
+      "Course Code",
+      "Section",
+      "Exam Date",
+      "Time",
+      "Room No.",
+    ]),
+    {
+      course: 2,
+      section: 3,
+      date: 4,
+      start: 5,
+      end: -1,
+      room: 6,
+      examType: "mid",
+    }
+  );
+});
+
+test("falls back to guessing from parts of the headers", () => {
+  assert.deepEqual(
+    guess(["Subject Code", "Sec-No", "Day", "From - To", "Exam Hall"]),
+    {
+      course: 0,
+      section: 1,
+      date: 2,
+      start: 3,
+      end: -1,
+      room: 4,
+      examType: "mid",
+    }
+  );
+});
@@ -0,0 +1,37 @@
+// paste-list.test.js - Finding course and section pairs in a pasted list
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./helpers/browser");
+
+/**
+ * Read the pairs of a pasted list as "COURSE/SECTION" strings, "COURSE" for
+ * an entry without a section
+ * @param {string} text - The pasted text
+ * @return {Array}
+ */
+function parsePairs(text) {
+  const window = loadScripts(["paste-list.js"]);
+  return Array.from(window.pasteList.parseCourseList(text), (entry) =>
+    entry.section ? `${entry.courseCode}/${entry.section}` : entry.courseCode
+  );
+}
+
+test("reads the section after a dash, a space or a sec label", () => {
+  assert.deepEqual(
+    parsePairs("CSE110 05, mat 120-3, PHY-111 sec 12, CSE220 section: 7"),
+    ["CSE110/05", "MAT120/3", "PHY111/12", "CSE220/7"]
+  );
+});
+
+test("reads a section in brackets", () => {
+  assert.deepEqual(parsePairs("MAT120 (03), CSE110(05), PHY111 [Sec-12]"), [
+    "MAT120/03",
+    "CSE110/05",
+    "PHY111/12",
+  ]);
+});
+
+test("keeps a course without a section for the user to choose", () => {
+  assert.deepEqual(parsePairs("CSE110 (Lab) and MAT120"), ["CSE110", "MAT120"]);
+});
@@ -0,0 +1,71 @@
+// pdf-helper.test.js - Loading the PDFs of the cross-check, one per dataset
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./helpers/browser");
+
+const SOURCES = {
+  mid: { id: "mid", label: "Midterms", pdfUrl: "/data/mid/exam.pdf" },
+  final: { id: "final", label: "Finals", pdfUrl: "/data/final/exam.pdf" },
+};
+
+/**
+ * Wait for the pending fetches and their handlers
+ * @return {Promise}
+ */
+function settle() {
+  return new Promise((resolve) => setTimeout(resolve, 10));
+}
+
+test("retries only the PDF that could not be loaded", async () => {
+  const fetched = [];
+  const logged = [];
+  let finalFails = true;
+  const window = loadScripts(["pdf-helper.js"], {
+    sources: {
+      getSource: (id) => SOURCES[id],
+      getSourceParts: () => [SOURCES.mid],
+      getActiveSource: () => SOURCES.mid,
+    },
+    ui: { showToast() {} },
+    // Rendering is not part of this test
+    pdfjsLib: null,
+  });
+  window.fetch = (url) => {
+    fetched.push(url);
+    const ok = !(url === SOURCES.final.pdfUrl && finalFails);
+    return Promise.resolve({
+      ok,
+      status: ok ? 200 : 404,
+      statusText: ok ? "OK" : "Not Found",
+      arrayBuffer: () => Promise.resolve(new ArrayBuffer(4)),
+    });
+  };
+  window.console.log = (...args) => logged.push(args.join(" "));
+  window.console.warn = () => {};
+  window.console.error = () => {};
+  window.document.body.innerHTML =
+    '<div id="cross-check-modal" class="hidden"><div id="pdf-container"></div></div>';
+
+  window.pdfHelper.enhancedCrossCheck([
+    { courseCode: "CSE110", section: "01", sourceId: "mid" },
+    { courseCode: "CSE110", section: "01", sourceId: "final" },
+  ]);
+  await settle();
+  assert.deepEqual(fetched, [SOURCES.mid.pdfUrl, SOURCES.final.pdfUrl]);
+
+  finalFails = false;
+  window.document.querySelector(".retry-pdf-btn").click();
+  await settle();
+
+  assert.deepEqual(fetched, [
+    SOURCES.mid.pdfUrl,
+    SOURCES.final.pdfUrl,
+    SOURCES.final.pdfUrl,
+  ]);
+  assert.equal(window.document.querySelector(".retry-pdf-btn"), null);
+  assert.equal(
+    logged.some((line) => /Attempting to load|Exam data for PDF/.test(line)),
+    false
+  );
+});
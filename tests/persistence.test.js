@@ -0,0 +1,167 @@
+// persistence.test.js - Saved routine profiles and their migrations
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts, runInWindow } = require("./helpers/browser");
+
+/**
+ * Open a page with persistence.js and the given localStorage
+ * @param {Object} storage - Key -> value; objects are saved as JSON
+ * @param {Object} [globals] - See loadScripts()
+ * @return {Window}
+ */
+function loadPersistence(storage = {}, globals = {}) {
+  const window = loadScripts([], globals);
+  Object.entries(storage).forEach(([key, value]) =>
+    window.localStorage.setItem(
+      key,
+      typeof value === "string" ? value : JSON.stringify(value)
+    )
+  );
+  runInWindow(window, ["persistence.js"]);
+  return window;
+}
+
+/**
+ * Read the saved routine state back
+ * @param {Window} window - The page
+ * @return {Object}
+ */
+function readState(window) {
+  return JSON.parse(window.localStorage.getItem("examRoutine"));
+}
+
+const VERSION_2_STATE = {
+  version: 2,
+  activeProfileId: "profile-1",
+  profiles: [
+    { id: "profile-1", name: "My routine", entries: [], settings: {} },
+    {
+      id: "profile-2",
+      name: "Sister",
+      entries: [],
+      settings: { grouping: "date" },
+    },
+  ],
+};
+
+test("gives every profile the Mid/Final tab saved before version 3", () => {
+  const window = loadPersistence({
+    examRoutine: VERSION_2_STATE,
+    examTypeFilter: "final",
+  });
+  assert.equal(window.persistence.getProfileSetting("examTypeFilter"), "final");
+
+  const state = readState(window);
+  assert.equal(state.version, 4);
+  assert.deepEqual(
+    state.profiles.map((profile) => profile.settings),
+    [{ examTypeFilter: "final" }, { grouping: "date", examTypeFilter: "final" }]
+  );
+  assert.equal(window.localStorage.getItem("examTypeFilter"), null);
+});
+
+test("leaves profiles alone when no tab was saved", () => {
+  const window = loadPersistence({ examRoutine: VERSION_2_STATE });
+  assert.equal(
+    window.persistence.getProfileSetting("examTypeFilter"),
+    undefined
+  );
+  assert.deepEqual(
+    readState(window).profiles.map((profile) => profile.settings),
+    [{}, { grouping: "date" }]
+  );
+});
+
+test("moves the settings of a version 1 routine into its profile", () => {
+  const window = loadPersistence({
+    examRoutine: { version: 1, entries: [] },
+    routineGroup: "building",
+    examTypeFilter: "mid",
+  });
+  assert.equal(window.persistence.getProfiles().length, 1);
+  assert.deepEqual(readState(window).profiles[0].settings, {
+    grouping: "building",
+    examTypeFilter: "mid",
+  });
+  assert.equal(window.localStorage.getItem("routineGroup"), null);
+});
+
+test("keeps settings with each profile", () => {
+  const window = loadPersistence({ examRoutine: VERSION_2_STATE });
+  window.persistence.setProfileSetting("examTypeFilter", "mid");
+  window.persistence.setActiveProfile("profile-2");
+  assert.equal(
+    window.persistence.getProfileSetting("examTypeFilter"),
+    undefined
+  );
+  window.persistence.setProfileSetting("examTypeFilter", "final");
+  window.persistence.setActiveProfile("profile-1");
+  assert.equal(window.persistence.getProfileSetting("examTypeFilter"), "mid");
+});
+
+test("gives every profile the routine view saved before version 4", () => {
+  const window = loadPersistence({
+    examRoutine: { ...VERSION_2_STATE, version: 3 },
+    routineView: "calendar",
+  });
+  assert.equal(window.persistence.getProfileSetting("view"), "calendar");
+
+  const state = readState(window);
+  assert.equal(state.version, 4);
+  assert.deepEqual(
+    state.profiles.map((profile) => profile.settings.view),
+    ["calendar", "calendar"]
+  );
+  assert.equal(window.localStorage.getItem("routineView"), null);
+});
+
+test("keeps the routine for the visit when storage is full, warning once", () => {
+  const toasts = [];
+  const window = loadPersistence(
+    { examRoutine: { version: 1, entries: [] }, routineGroup: "date" },
+    { ui: { showToast: (message, type) => toasts.push(type) } }
+  );
+  window.Storage.prototype.setItem = () => {
+    throw new window.DOMException("Full", "QuotaExceededError");
+  };
+
+  assert.equal(window.persistence.getProfiles().length, 1);
+  window.persistence.setProfileSetting("sort", "course");
+  assert.deepEqual(toasts, ["error"]);
+  // The old save is kept until a migrated copy can be written
+  assert.equal(readState(window).version, 1);
+  assert.equal(window.localStorage.getItem("routineGroup"), "date");
+});
+
+test("keeps changes for the visit when they cannot be saved", () => {
+  const window = loadPersistence(
+    { examRoutine: VERSION_2_STATE },
+    { ui: { showToast() {} } }
+  );
+  window.persistence.getProfiles();
+  window.Storage.prototype.setItem = () => {
+    throw new window.DOMException("Full", "QuotaExceededError");
+  };
+
+  window.persistence.setProfileSetting("sort", "course");
+  const id = window.persistence.addProfile("Brother");
+  window.persistence.setActiveProfile(id);
+
+  assert.equal(window.persistence.getProfiles().length, 3);
+  window.persistence.setActiveProfile("profile-1");
+  assert.equal(window.persistence.getProfileSetting("sort"), "course");
+});
+
+test("starts with an empty routine when storage is blocked", () => {
+  const window = loadPersistence();
+  window.Storage.prototype.getItem = () => {
+    throw new window.DOMException("Blocked", "SecurityError");
+  };
+
+  assert.deepEqual(
+    Array.from(window.persistence.getProfiles(), (profile) => profile.name),
+    ["My routine"]
+  );
+  assert.equal(window.persistence.loadRoutineEntries().length, 0);
+});
@@ -0,0 +1,113 @@
+// portal-schedule.test.js - Reading course and section pairs from copies of
+// the portal's class schedule
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { readFixture, loadWithExamData } = require("./helpers/browser");
+
+/**
+ * Open a page with the fixture exams and portal-schedule.js
+ * @return {Promise<Window>}
+ */
+function loadPortalSchedule() {
+  return loadWithExamData(["paste-list.js", "portal-schedule.js"], {
+    ui: { addExamsToSchedule() {} },
+  });
+}
+
+/**
+ * Reduce entries to "COURSE/SECTION" strings, in an array of this realm so
+ * it compares equal to the expected one
+ * @param {Array} entries - Entries or exams from the page
+ * @return {Array}
+ */
+function toPairs(entries) {
+  return Array.from(entries, (entry) => `${entry.courseCode}/${entry.section}`);
+}
+
+test("reads a tab separated copy by its columns", async () => {
+  const window = await loadPortalSchedule();
+  const entries = window.portalSchedule.parsePortalSchedule(
+    readFixture("portal/tab-separated.txt")
+  );
+  assert.deepEqual(toPairs(entries), ["CSE110/01", "MAT120/03", "HUM103/02"]);
+});
+
+test("reads a copy whose columns are runs of spaces", async () => {
+  const window = await loadPortalSchedule();
+  const entries = window.portalSchedule.parsePortalSchedule(
+    readFixture("portal/space-separated.txt")
+  );
+  assert.deepEqual(toPairs(entries), ["CSE220/04", "PHY111/12", "ENG101/07"]);
+});
+
+test("reads the table of a saved HTML page", async () => {
+  const window = await loadPortalSchedule();
+  const entries = window.portalSchedule.parsePortalSchedule(
+    readFixture("portal/saved-page.html")
+  );
+  assert.deepEqual(toPairs(entries), ["CSE110/5", "MAT120/03", "BIO101/09"]);
+});
+
+test("reads loose rows with the section after the course", async () => {
+  const window = await loadPortalSchedule();
+  const entries = window.portalSchedule.parsePortalSchedule(
+    readFixture("portal/loose-rows.txt")
+  );
+  assert.deepEqual(toPairs(entries), [
+    "CSE110/05",
+    "PHY111/12",
+    "MAT120/03",
+    "ECO101/02",
+  ]);
+});
+
+test("lists a course once when lectures and labs repeat it", async () => {
+  const window = await loadPortalSchedule();
+  const entries = window.portalSchedule.parsePortalSchedule(
+    readFixture("portal/duplicated-labs.txt")
+  );
+  assert.deepEqual(toPairs(entries), [
+    "CSE110/01",
+    "CSE110L/01",
+    "CSE250L/02",
+    "PHY111/12",
+  ]);
+});
+
+test("reports the courses without an exam", async () => {
+  const window = await loadPortalSchedule();
+  const { added, unmatched } = window.portalSchedule.importPortalSchedule(
+    readFixture("portal/tab-separated.txt")
+  );
+  assert.deepEqual(toPairs(added), ["CSE110/01", "MAT120/03"]);
+  assert.deepEqual(toPairs(unmatched), ["HUM103/02"]);
+});
+
+test("does not report labs examined with their theory course", async () => {
+  const window = await loadPortalSchedule();
+  const { added, unmatched } = window.portalSchedule.importPortalSchedule(
+    readFixture("portal/duplicated-labs.txt")
+  );
+  assert.deepEqual(toPairs(added), ["CSE110/01", "PHY111/12"]);
+  // CSE250L has no theory course with an exam, so it is reported
+  assert.deepEqual(toPairs(unmatched), ["CSE250L/02"]);
+});
+
+test("adds the exams of every matched course", async () => {
+  const addedExams = [];
+  const window = await loadWithExamData(
+    ["paste-list.js", "portal-schedule.js"],
+    {
+      ui: { addExamsToSchedule: (exams) => addedExams.push(...exams) },
+    }
+  );
+  window.portalSchedule.importPortalSchedule(
+    readFixture("portal/loose-rows.txt")
+  );
+  assert.deepEqual(toPairs(addedExams), [
+    "CSE110/05",
+    "PHY111/12",
+    "MAT120/03",
+  ]);
+});
@@ -0,0 +1,50 @@
+// qr-code.test.js - The QR code of the routine link
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./helpers/browser");
+
+const MID = { courseCode: "CSE110", section: "01", examType: "mid" };
+const FINAL = { courseCode: "CSE110", section: "01", examType: "final" };
+
+/**
+ * Open a page with qr-code.js whose Final tab is open
+ * @return {Object} - { window, linked } where linked collects the exams of
+ *   each share link asked for
+ */
+function loadQrCode() {
+  const linked = [];
+  const window = loadScripts(["qr-code.js"], {
+    ui: {
+      getScheduleExams: () => [MID, FINAL],
+      getVisibleScheduleExams: () => [FINAL],
+    },
+    share: {
+      getShareUrl: (exams) => {
+        linked.push(Array.from(exams));
+        return "http://localhost:5000/#share=latest/CSE110.01.f";
+      },
+    },
+    qrcode: () => ({
+      addData() {},
+      make() {},
+      getModuleCount: () => 21,
+      isDark: () => false,
+    }),
+  });
+  // jsdom does not draw
+  window.HTMLCanvasElement.prototype.getContext = () => ({ fillRect() {} });
+  return { window, linked };
+}
+
+test("links to the exams under the open Mid/Final tab", () => {
+  const { window, linked } = loadQrCode();
+  assert.ok(window.qrCode.createRoutineQr());
+  assert.deepEqual(linked, [[FINAL]]);
+});
+
+test("links to the exams it is given, e.g. those of a screenshot", () => {
+  const { window, linked } = loadQrCode();
+  assert.ok(window.qrCode.createRoutineQr(4, [MID]));
+  assert.deepEqual(linked, [[MID]]);
+});
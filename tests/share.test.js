@@ -0,0 +1,66 @@
+// share.test.js - Routines carried in the hash of a share link
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadWithExamData } = require("./helpers/browser");
+
+/**
+ * Reduce parsed pairs to "COURSE/SECTION/type" strings, in an array of this
+ * realm so it compares equal to the expected one
+ * @param {Array} pairs - Pairs from parseShareHash()
+ * @return {Array}
+ */
+function toPairs(pairs) {
+  return Array.from(
+    pairs,
+    (pair) => `${pair.courseCode}/${pair.section}/${pair.examType}`
+  );
+}
+
+test("leaves out the exam type when the dataset has one", async () => {
+  const window = await loadWithExamData(["share.js"]);
+  const exams = window.data.findExams("CSE110", "01");
+  assert.equal(
+    window.share.buildShareHash("latest", exams),
+    "#share=latest/CSE110.01"
+  );
+});
+
+test("keeps the exam type of a mid-only routine of mids and finals", async () => {
+  const window = await loadWithExamData(["share.js"], {}, [
+    "exam.json",
+    "final.json",
+  ]);
+  const exams = [
+    ...window.data.findExams("CSE110", "01", "mid"),
+    ...window.data.findExams("MAT120", "03", "mid"),
+  ];
+  const hash = window.share.buildShareHash("summer-2025", exams);
+  assert.equal(hash, "#share=summer-2025/CSE110.01.m,MAT120.03.m");
+  assert.deepEqual(toPairs(window.share.parseShareHash(hash).pairs), [
+    "CSE110/01/mid",
+    "MAT120/03/mid",
+  ]);
+});
+
+test("escapes the separators inside course codes and sections", async () => {
+  const window = await loadWithExamData(["share.js"]);
+  const exams = [{ courseCode: "CSE 110", section: "A.1,2", examType: "mid" }];
+  const hash = window.share.buildShareHash("fall/2025", exams);
+  assert.equal(hash, "#share=fall%2F2025/CSE%20110.A%2E1%2C2");
+
+  const link = window.share.parseShareHash(hash);
+  assert.equal(link.sourceId, "fall/2025");
+  assert.deepEqual(toPairs(link.pairs), ["CSE 110/A.1,2/null"]);
+});
+
+test("skips malformed courses and ignores other hashes", async () => {
+  const window = await loadWithExamData(["share.js"]);
+  window.console.warn = () => {};
+  const link = window.share.parseShareHash(
+    "#share=latest/CSE110.01.f,MAT,%ZZ.1"
+  );
+  assert.deepEqual(toPairs(link.pairs), ["CSE110/01/final"]);
+  assert.equal(window.share.parseShareHash("#calendar"), null);
+  assert.equal(window.share.parseShareHash("#share=latest/"), null);
+});
@@ -0,0 +1,122 @@
+// sw.test.js - Revalidating the cached exam data in the service worker
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const SW_FILE = path.join(__dirname, "..", "static", "js", "sw.js");
+
+/**
+ * Run sw.js with a data cache and a network that answer from maps
+ * @param {Object} cached - URL -> Response in the data cache
+ * @param {Object} network - URL -> Response from the server
+ * @return {Object} - { worker, cached, messages } where messages collects
+ *   what the worker posts to its pages
+ */
+function loadWorker(cached, network) {
+  const messages = [];
+  const cache = {
+    keys: () => Promise.resolve(Object.keys(cached).map((url) => ({ url }))),
+    match: (request) => Promise.resolve(cached[request.url]),
+    put: (request, response) => {
+      cached[request.url] = response;
+      return Promise.resolve();
+    },
+  };
+  const worker = {
+    console: { warn() {} },
+    Promise,
+    Uint8Array,
+    caches: { open: () => Promise.resolve(cache) },
+    fetch: (url) => Promise.resolve(network[url]),
+    addEventListener() {},
+    clients: {
+      matchAll: () =>
+        Promise.resolve([{ postMessage: (message) => messages.push(message) }]),
+    },
+  };
+  worker.self = worker;
+  vm.runInNewContext(fs.readFileSync(SW_FILE, "utf8"), worker, {
+    filename: SW_FILE,
+  });
+  return { worker, cached, messages };
+}
+
+const JSON_URL = "http://localhost:5000/static/data/exam.json";
+const PDF_URL = "http://localhost:5000/static/data/exam.pdf";
+
+test("reports only the data files whose ETag changed", async () => {
+  const { worker, cached, messages } = loadWorker(
+    {
+      [JSON_URL]: new Response("old", { headers: { ETag: '"1"' } }),
+      [PDF_URL]: new Response("pdf", { headers: { ETag: '"2"' } }),
+    },
+    {
+      [JSON_URL]: new Response("new", { headers: { ETag: '"3"' } }),
+      [PDF_URL]: new Response("pdf", { headers: { ETag: '"2"' } }),
+    }
+  );
+  await worker.revalidateData();
+
+  assert.equal(messages.length, 1);
+  assert.equal(messages[0].type, "data-revalidated");
+  assert.deepEqual(Array.from(messages[0].urls), [JSON_URL]);
+  assert.equal(await cached[JSON_URL].text(), "new");
+});
+
+test("compares the bytes when the server sends no validators", async () => {
+  const { worker, messages } = loadWorker(
+    {
+      [JSON_URL]: new Response("same"),
+      [PDF_URL]: new Response("old"),
+    },
+    {
+      [JSON_URL]: new Response("same"),
+      [PDF_URL]: new Response("new"),
+    }
+  );
+  await worker.revalidateData();
+
+  assert.deepEqual(Array.from(messages[0].urls), [PDF_URL]);
+});
+
+test("keeps the cached copy when the server fails", async () => {
+  const { worker, cached, messages } = loadWorker(
+    { [JSON_URL]: new Response("old") },
+    { [JSON_URL]: new Response("error", { status: 500 }) }
+  );
+  await worker.revalidateData();
+
+  assert.deepEqual(Array.from(messages[0].urls), []);
+  assert.equal(await cached[JSON_URL].text(), "old");
+});
+
+test("does not cache partial responses to range requests", async () => {
+  const { worker, cached } = loadWorker(
+    {},
+    { [PDF_URL]: new Response("part", { status: 206 }) }
+  );
+  const response = await worker.fetchAndCache("data", PDF_URL);
+  await new Promise((resolve) => setTimeout(resolve, 0));
+
+  assert.equal(response.status, 206);
+  assert.equal(cached[PDF_URL], undefined);
+});
+
+test("warns instead of failing when the cache is full", async () => {
+  const warnings = [];
+  const { worker } = loadWorker({}, { [JSON_URL]: new Response("new") });
+  worker.console.warn = (...args) => warnings.push(args);
+  worker.caches.open = () =>
+    Promise.resolve({
+      put: () => Promise.reject(new Error("QuotaExceededError")),
+    });
+
+  const response = await worker.fetchAndCache("data", JSON_URL);
+  await new Promise((resolve) => setTimeout(resolve, 0));
+
+  assert.equal(response.status, 200);
+  assert.equal(warnings.length, 1);
+});
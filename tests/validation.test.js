@@ -0,0 +1,103 @@
+// validation.test.js - Classifying the rows of exam.json
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./helpers/browser");
+
+/**
+ * Build an exam.json row of CSE110 section 01
+ * @param {string} date - Mid Date
+ * @param {string} start - Start Time
+ * @param {string} end - End Time
+ * @param {string} room - Room.
+ * @return {Object}
+ */
+function examRow(date, start, end, room) {
+  return {
+    Course: "CSE110",
+    Section: "01",
+    "Mid Date": date,
+    "Start Time": start,
+    "End Time": end,
+    "Room.": room,
+  };
+}
+
+/**
+ * Validate rows and list the status of each
+ * @param {Array} exams - Raw exam rows
+ * @return {Array}
+ */
+function getStatuses(exams) {
+  const window = loadScripts(["utils.js", "validation.js", "data.js"]);
+  return Array.from(
+    window.validation.validateExams(exams).rows,
+    (row) => row.status
+  );
+}
+
+test("loads the sittings of a multi-part exam as valid rows", () => {
+  assert.deepEqual(
+    getStatuses([
+      examRow("2025-07-20", "09:00", "11:00", "UB10101"),
+      examRow("2025-07-27", "09:00", "11:00", "UB10101"),
+      examRow("2025-07-20", "14:00", "15:00", "UB10101"),
+    ]),
+    ["valid", "valid", "valid"]
+  );
+});
+
+test("loads a section split across rooms as valid rows", () => {
+  assert.deepEqual(
+    getStatuses([
+      examRow("2025-07-20", "09:00", "11:00", "UB10101"),
+      examRow("2025-07-20", "09:00", "11:00", "UB10102"),
+    ]),
+    ["valid", "valid"]
+  );
+});
+
+test("flags rows that give one sitting different times", () => {
+  const window = loadScripts(["utils.js", "validation.js", "data.js"]);
+  const report = window.validation.validateExams([
+    examRow("2025-07-20", "09:00", "11:00", "UB10101"),
+    examRow("2025-07-20", "10:00", "12:00", "UB10102"),
+    examRow("2025-07-27", "09:00", "11:00", "UB10101"),
+  ]);
+  assert.deepEqual(
+    Array.from(report.rows, (row) => row.status),
+    ["conflict", "conflict", "valid"]
+  );
+  assert.equal(report.rows[0].issues[0], "Conflicting date or time with row 2");
+  assert.equal(report.counts.conflict, 2);
+  assert.equal(report.loaded, 1);
+  assert.equal(window.validation.isLoadedRow(report.rows[0]), false);
+});
+
+test("skips repeated rows", () => {
+  assert.deepEqual(
+    getStatuses([
+      examRow("2025-07-20", "09:00", "11:00", "UB10101"),
+      examRow("2025-07-20", "09:00", "11:00", "UB10101"),
+    ]),
+    ["valid", "duplicate"]
+  );
+});
+
+test("compares courses and sections the way the lookups match them", () => {
+  assert.deepEqual(
+    getStatuses([
+      examRow("2025-07-20", "09:00", "11:00", "UB10101"),
+      {
+        ...examRow("2025-07-20", "09:00", "11:00", "UB10101"),
+        Course: "cse-110",
+        Section: "1",
+      },
+      {
+        ...examRow("2025-07-20", "10:00", "12:00", "UB10102"),
+        Course: "CSE 110",
+      },
+    ]),
+    ["conflict", "duplicate", "conflict"]
+  );
+});